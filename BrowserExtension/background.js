@@ -1,89 +1,899 @@
 // DodoPass Browser Extension - Background Service Worker
 
+importScripts('secure-channel.js', 'transport.js', 'publicsuffix.js', 'wordlist.js', 'generator.js', 'settings.js');
+
 const NATIVE_HOST = 'com.dodopass.host';
 
-// State
-let port = null;
-let pendingRequests = new Map();
-let requestId = 0;
+// Native host connection
+// Everyone interested in the connection (popup, open dropdowns) holds a 'connectionState' port,
+// which also carries the vault events the app pushes
+const connectionSubscribers = new Set();
+
+// Only browsers the user paired in DodoPass get answers; see secure-channel.js
+const pairedChannel = createPairedChannel();
 
-// Connect to native host
-function connectNative() {
-  if (port) {
-    return port;
+const nativeTransport = createNativeTransport({
+  connect: () => chrome.runtime.connectNative(NATIVE_HOST),
+  channel: pairedChannel,
+  onEvent: handleVaultEvent,
+  onStateChange: (state) => {
+    if (state.status !== 'connected' || state.paired === false) {
+      vaultEventsLive = false;
+      forgetVaultStatus();
+    }
+    for (const subscriber of connectionSubscribers) {
+      subscriber.postMessage({ type: 'connectionState', state });
+    }
+    refreshBadgesForState(state);
   }
+});
+
+// Commands after which cached answers can't be trusted, even before the app's event arrives
+const VAULT_CHANGING_COMMANDS = new Set(['lock', 'unlock', 'saveCredentials', 'updateCredentials', 'addUrl']);
 
+async function sendNativeMessage(command, params = {}) {
   try {
-    port = chrome.runtime.connectNative(NATIVE_HOST);
+    return await nativeTransport.send(command, params);
+  } finally {
+    if (VAULT_CHANGING_COMMANDS.has(command)) {
+      forgetVaultStatus();
+      forgetMatches();
+    }
+  }
+}
 
-    port.onMessage.addListener((response) => {
-      console.log('Received from native:', response);
+// Vault events
+// While the app's events flow, the last status holds until one says otherwise, so dropdowns
+// and save checks don't have to ask again
+let vaultEventsLive = false;
+let cachedStatus = null;
+let statusGeneration = 0; // Bumped on every change, so a status fetched before it isn't kept
 
-      // Handle response
-      if (response.requestId && pendingRequests.has(response.requestId)) {
-        const { resolve } = pendingRequests.get(response.requestId);
-        pendingRequests.delete(response.requestId);
-        resolve(response);
-      }
-    });
+function forgetVaultStatus() {
+  cachedStatus = null;
+  statusGeneration++;
+}
 
-    port.onDisconnect.addListener(() => {
-      console.log('Native host disconnected:', chrome.runtime.lastError?.message);
-      port = null;
+function handleVaultEvent(event) {
+  vaultEventsLive = event !== 'appStopped';
+  if (event === 'locked' && cachedStatus) {
+    cachedStatus = { ...cachedStatus, locked: true, itemCount: 0 };
+    statusGeneration++;
+  } else {
+    forgetVaultStatus();
+  }
+  forgetMatches();
 
-      // Reject all pending requests
-      for (const [id, { reject }] of pendingRequests) {
-        reject(new Error('Native host disconnected'));
-      }
-      pendingRequests.clear();
-    });
+  for (const subscriber of connectionSubscribers) {
+    subscriber.postMessage({ type: 'vaultEvent', event });
+  }
+  refreshActiveBadges();
+}
+
+async function getVaultStatus() {
+  if (vaultEventsLive && cachedStatus) {
+    return { success: true, data: cachedStatus };
+  }
+
+  const generation = statusGeneration;
+  const status = await sendNativeMessage('status');
+  if (status.success && vaultEventsLive && generation === statusGeneration) {
+    cachedStatus = status.data;
+  }
+  return status;
+}
+
+// Features that not every version of the app serves, by the command each needs. The popup and
+// pages only offer what the connected app can do.
+const APP_FEATURE_COMMANDS = {
+  cards: 'listCards',
+  identities: 'listIdentities',
+  tags: 'listTags',
+  passwordStrength: 'getPasswordStrength',
+  breachCheck: 'checkBreach'
+};
+
+function getAppFeatures() {
+  return Object.fromEntries(
+    Object.entries(APP_FEATURE_COMMANDS).map(([feature, command]) => [feature, nativeTransport.supports(command)])
+  );
+}
+
+chrome.runtime.onConnect.addListener((subscriber) => {
+  if (subscriber.name !== 'connectionState') return;
+
+  connectionSubscribers.add(subscriber);
+  subscriber.onDisconnect.addListener(() => connectionSubscribers.delete(subscriber));
+  subscriber.postMessage({ type: 'connectionState', state: nativeTransport.getState() });
+  nativeTransport.connect();
+});
+
+// Multi-step login flows (username page, then password page)
+// Kept in session storage so they survive the service worker being suspended between pages.
+const LOGIN_FLOW_TTL = 5 * 60 * 1000;
+
+function loginFlowKey(tabId) {
+  return `loginFlow:${tabId}`;
+}
+
+// Steps on login.example.com and accounts.example.com share a flow, steps on
+// alice.github.io and bob.github.io do not
+function getSiteKey(url) {
+  return getRegistrableDomain(new URL(url).hostname);
+}
+
+async function setLoginFlow(tabId, url, flow) {
+  const key = loginFlowKey(tabId);
+  const existing = (await chrome.storage.session.get(key))[key];
+  const site = getSiteKey(url);
+
+  // Keep what the previous step learned unless this step overrides it
+  const merged = existing && existing.site === site ? { ...existing, ...flow } : flow;
+  await chrome.storage.session.set({
+    [key]: { ...merged, site, createdAt: Date.now() }
+  });
+}
+
+async function getLoginFlow(tabId, url) {
+  const key = loginFlowKey(tabId);
+  const flow = (await chrome.storage.session.get(key))[key];
+  if (!flow) return null;
+
+  if (Date.now() - flow.createdAt > LOGIN_FLOW_TTL || flow.site !== getSiteKey(url)) {
+    await chrome.storage.session.remove(key);
+    return null;
+  }
+
+  return flow;
+}
+
+// The password step was filled: forget the item but keep the username for save detection
+async function completeLoginFlow(tabId) {
+  const key = loginFlowKey(tabId);
+  const flow = (await chrome.storage.session.get(key))[key];
+  if (!flow) return;
+
+  const { itemId, ...rest } = flow;
+  await chrome.storage.session.set({ [key]: rest });
+}
+
+function clearLoginFlow(tabId) {
+  return chrome.storage.session.remove(loginFlowKey(tabId));
+}
+
+// Two-factor step after a login fill: the next page asks for the code of the item just used
+function pendingTotpKey(tabId) {
+  return `pendingTotp:${tabId}`;
+}
+
+async function setPendingTotp(tabId, url, itemId) {
+  await chrome.storage.session.set({
+    [pendingTotpKey(tabId)]: { itemId, site: getSiteKey(url), createdAt: Date.now() }
+  });
+}
+
+// One-shot: the code is filled once, later code fields on the site are the user's business
+async function takePendingTotp(tabId, url) {
+  const key = pendingTotpKey(tabId);
+  const pending = (await chrome.storage.session.get(key))[key];
+  if (!pending) return null;
+
+  await chrome.storage.session.remove(key);
+  if (Date.now() - pending.createdAt > LOGIN_FLOW_TTL || pending.site !== getSiteKey(url)) {
+    return null;
+  }
+  return pending;
+}
 
-    return port;
+// The login last filled into a tab, per site, for password changes made by hand later on
+function filledItemKey(tabId) {
+  return `filledItem:${tabId}`;
+}
+
+async function setFilledItem(tabId, url, itemId) {
+  await chrome.storage.session.set({
+    [filledItemKey(tabId)]: { itemId, site: getSiteKey(url) }
+  });
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearLoginFlow(tabId);
+  chrome.storage.session.remove([pendingTotpKey(tabId), filledItemKey(tabId)]);
+  clearFillReview(tabId);
+});
+
+// The saved login a password change form is for: the one last filled into the tab on this site,
+// else the site's only login. What was typed into the form plays no part, so a page can't test
+// password guesses against the vault, and no password leaves the app to find the item.
+async function findItemForPasswordChange(tabId, url) {
+  const results = await listItemsForUrl(url);
+  const items = results.data?.items || [];
+
+  const key = filledItemKey(tabId);
+  const filled = (await chrome.storage.session.get(key))[key];
+  const item = (filled?.site === getSiteKey(url) && items.find(i => i.id === filled.itemId)) ||
+    (items.length === 1 ? items[0] : null);
+
+  return item ? { id: item.id, title: item.title, username: item.username } : null;
+}
+
+// Page settings
+// The settings that apply on a page, with its site's overrides; content scripts ask for their
+// frame's, since only the worker knows which site a URL belongs to
+async function getPageSettings(url) {
+  const [settings, siteSettings] = await Promise.all([getSettings(), getSiteSettings(getSiteKey(url))]);
+  return effectiveSettings(settings, siteSettings);
+}
+
+// The item the fill shortcut and context menu use: the site's chosen one if it matches, else the first
+function pickItemToFill(items, settings) {
+  return items.find(item => item.id === settings.itemId) || items[0];
+}
+
+// Sign in after filling when the item or the site asks for it
+async function shouldSubmitAfterFill(url, credentials) {
+  return !!credentials.autoSubmit || (await getPageSettings(url)).autoSubmit;
+}
+
+// Fill a login as the page loads, only where nothing can go wrong unnoticed: a top-level HTTPS
+// page of a site the user turned this on for, exactly one matching login, and no reason to ask
+// first. The form is not submitted, so signing out doesn't sign straight back in.
+async function fillOnPageLoad(tabId, frameId, url) {
+  if (frameId !== 0 || !url?.startsWith('https:')) {
+    return { success: false };
+  }
+  if (!(await getPageSettings(url)).fillOnPageLoad) {
+    return { success: false };
+  }
+
+  const results = await listItemsForUrl(url);
+  if (!results.success || results.data.items.length !== 1) {
+    return { success: false };
+  }
+
+  const result = await fillItemInTab(tabId, results.data.items[0].id, { frameId: 0, allowSubmit: false });
+  if (result.success) {
+    await recordAutofill('fillOnPageLoad', url);
+  }
+  return { success: !!result.success };
+}
+
+// Fills nobody clicked for end up in the app's audit log
+async function recordAutofill(action, url) {
+  const result = await sendNativeMessage('recordAutofill', { action, url }).catch(error => ({ error: error.message }));
+  if (!result.success) {
+    console.error('Audit log error:', result.error);
+  }
+}
+
+// URL matching
+// The app lists the logins that could be for a page's site, with their URLs and match mode;
+// which ones belong to the page is decided here, against the Public Suffix List, not by the
+// page's own claim about its URL.
+function parseItemUrl(itemUrl) {
+  try {
+    return new URL(itemUrl.includes('://') ? itemUrl : `https://${itemUrl}`);
   } catch (error) {
-    console.error('Failed to connect to native host:', error);
     return null;
   }
 }
 
-// Send message to native host
-function sendNativeMessage(command, params = {}) {
-  return new Promise((resolve, reject) => {
-    const currentPort = connectNative();
+function urlMatchesPattern(pageUrl, itemUrl, matchMode) {
+  if (matchMode === 'regex') {
+    try {
+      return new RegExp(itemUrl, 'i').test(pageUrl.href);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  const saved = parseItemUrl(itemUrl);
+  if (!saved) {
+    return false;
+  }
+
+  switch (matchMode) {
+    case 'host':
+      return saved.hostname === pageUrl.hostname;
+    case 'hostAndPort':
+      return saved.protocol === pageUrl.protocol && saved.host === pageUrl.host;
+    case 'startsWith':
+      // Parsed, so "https://example.com" becomes "https://example.com/" and can't prefix example.com.evil.net
+      return pageUrl.href.startsWith(saved.href);
+    default:
+      return getRegistrableDomain(saved.hostname) === getRegistrableDomain(pageUrl.hostname);
+  }
+}
+
+// item needs urls and matchMode, as listLogins and getCredentials return them
+function itemMatchesUrl(item, url) {
+  const matchMode = item.matchMode || 'baseDomain';
+  if (matchMode === 'never') {
+    return false;
+  }
 
-    if (!currentPort) {
-      reject(new Error('Cannot connect to DodoPass. Is the app running?'));
-      return;
+  let pageUrl;
+  try {
+    pageUrl = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (pageUrl.protocol !== 'https:' && pageUrl.protocol !== 'http:') {
+    return false;
+  }
+
+  return (item.urls || []).some(itemUrl => urlMatchesPattern(pageUrl, itemUrl, matchMode));
+}
+
+async function listItemsForUrl(url) {
+  const origin = getOrigin(url);
+  const cacheable = vaultEventsLive && /^https?:/.test(origin || '');
+
+  let candidates = cacheable ? await getCachedMatches(origin) : null;
+  if (!candidates) {
+    const generation = matchCacheGeneration;
+    const results = await sendNativeMessage('listLogins', { url: origin || url });
+    if (!results.success) {
+      return results;
     }
 
-    const id = ++requestId;
-    const message = {
-      requestId: id,
-      command,
-      params
-    };
+    candidates = (results.data?.items || []).filter(item => itemMayMatchOrigin(item, origin));
+    if (cacheable && generation === matchCacheGeneration) {
+      await chrome.storage.session.set({
+        [MATCH_CACHE_PREFIX + origin]: { items: candidates, cachedAt: Date.now() }
+      });
+    }
+  }
+
+  const items = candidates
+    .filter(item => itemMatchesUrl(item, url))
+    .map(({ urls, matchMode, ...item }) => ({ ...item, url: urls[0] || '' }));
+
+  return { success: true, data: { items } };
+}
+
+// Match cache
+// Item summaries (titles and usernames, never secrets) per origin, so a dropdown opens without
+// asking the app. Only used while the app's events flow, and any event clears it.
+const MATCH_CACHE_TTL = 5 * 60 * 1000;
+const MATCH_CACHE_PREFIX = 'matches:';
+let matchCacheGeneration = 0; // Bumped on every clear, so a list fetched before it isn't kept
+
+// Items that can match somewhere on the origin. Prefix and regex matches depend on the path,
+// so those are kept and checked against each URL.
+function itemMayMatchOrigin(item, origin) {
+  const matchMode = item.matchMode || 'baseDomain';
+  return matchMode === 'startsWith' || matchMode === 'regex' || itemMatchesUrl(item, origin);
+}
+
+async function getCachedMatches(origin) {
+  const key = MATCH_CACHE_PREFIX + origin;
+  const entry = (await chrome.storage.session.get(key))[key];
+  if (!entry) {
+    return null;
+  }
+  if (Date.now() - entry.cachedAt > MATCH_CACHE_TTL) {
+    await chrome.storage.session.remove(key);
+    return null;
+  }
+  return entry.items;
+}
+
+async function forgetMatches() {
+  matchCacheGeneration++;
+  const stored = await chrome.storage.session.get(null);
+  const keys = Object.keys(stored).filter(key => key.startsWith(MATCH_CACHE_PREFIX));
+  if (keys.length > 0) {
+    await chrome.storage.session.remove(keys);
+  }
+}
+
+// Clipboard
+// Copies go through an offscreen document, which outlives the popup and clears a copied secret
+// after the user's delay. Copies and closing the document run one at a time, so a copy never
+// lands in a document that is being closed.
+const CLIPBOARD_DOCUMENT = 'offscreen.html';
+let clipboardQueue = Promise.resolve();
+let clipboardWrites = 0; // Numbers each copy, so an idle report from before a newer copy is ignored
 
-    pendingRequests.set(id, { resolve, reject });
+function queueClipboardTask(task) {
+  const run = clipboardQueue.then(task);
+  clipboardQueue = run.catch(() => {});
+  return run;
+}
+
+async function copyToClipboard(text, { secret = true } = {}) {
+  const clearAfter = secret ? (await getSettings()).clipboardClearDelay : 0;
+
+  return queueClipboardTask(async () => {
+    if (!(await chrome.offscreen.hasDocument())) {
+      await chrome.offscreen.createDocument({
+        url: CLIPBOARD_DOCUMENT,
+        reasons: ['CLIPBOARD'],
+        justification: 'Copy passwords and codes, and clear them again after a delay'
+      });
+    }
+
+    const write = ++clipboardWrites;
+    const result = await chrome.runtime.sendMessage({ target: 'clipboard', action: 'write', text, clearAfter, write });
+    return result?.success
+      ? { success: true, data: { clearAfter } }
+      : { success: false, error: 'Could not copy to the clipboard' };
+  });
+}
+
+// The document has nothing left to clear after write
+function closeClipboardDocument(write) {
+  return queueClipboardTask(async () => {
+    if (write === clipboardWrites && await chrome.offscreen.hasDocument()) {
+      await chrome.offscreen.closeDocument();
+    }
+  });
+}
+
+// Frame policy
+// Credentials are only released into a frame whose own origin is checked, not just the tab's.
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Plain HTTP, unless the user saved the item for an http:// address on purpose (routers, intranets)
+function isInsecureFill(frameUrl, item) {
+  try {
+    if (new URL(frameUrl).protocol !== 'http:') {
+      return false;
+    }
+  } catch (error) {
+    return false;
+  }
+  return !(item.urls || []).some(itemUrl => itemUrl.toLowerCase().startsWith('http://'));
+}
 
-    // Timeout after 5 seconds
-    setTimeout(() => {
-      if (pendingRequests.has(id)) {
-        pendingRequests.delete(id);
-        reject(new Error('Request timed out'));
+/**
+ * Checks before credentials are released into a frame. Each of these needs the user's confirmation:
+ * a frame from another origin than the top page (embedded login widget, payment iframe), a page
+ * the item isn't saved for, a page without HTTPS, and a form that posts to another origin.
+ * formAction is the origin the frame's login form submits to, as the content script reports it.
+ * Cards and identities aren't saved for a site, so they pass siteBound: false to skip that check.
+ */
+function checkFramePolicy(frameUrl, topUrl, item, formAction = null, { siteBound = true } = {}) {
+  const frameOrigin = getOrigin(frameUrl);
+  const topOrigin = getOrigin(topUrl);
+  const embedded = !frameOrigin || frameOrigin !== topOrigin;
+  const matchesItem = !siteBound || itemMatchesUrl(item, frameUrl);
+  const insecure = isInsecureFill(frameUrl, item);
+  const actionOrigin = getOrigin(formAction);
+  const crossOriginAction = !!actionOrigin && actionOrigin !== frameOrigin;
+
+  return {
+    needsConfirmation: embedded || !matchesItem || insecure || crossOriginAction,
+    frameOrigin,
+    topOrigin,
+    actionOrigin,
+    embedded,
+    matchesItem,
+    insecure,
+    crossOriginAction
+  };
+}
+
+function confirmationRequired(policy) {
+  let error = 'Confirmation required to fill on a site the item is not saved for';
+  if (policy.embedded) {
+    error = 'Confirmation required to fill an embedded form';
+  } else if (policy.insecure) {
+    error = 'Confirmation required to fill on a page without HTTPS';
+  } else if (policy.crossOriginAction) {
+    error = 'Confirmation required to fill a form that posts to another site';
+  }
+
+  return {
+    success: false,
+    needsConfirmation: true,
+    error,
+    data: {
+      frameOrigin: policy.frameOrigin,
+      topOrigin: policy.topOrigin,
+      actionOrigin: policy.actionOrigin,
+      embedded: policy.embedded,
+      matchesItem: policy.matchesItem,
+      insecure: policy.insecure,
+      crossOriginAction: policy.crossOriginAction,
+      // "Add site & fill" in the popup's review, when the frame's site isn't one of the item's:
+      // a login picked from the popup's search, or filled into another site's frame by the shortcut
+      canAddSite: !policy.matchesItem && nativeTransport.supports('addUrl')
+    }
+  };
+}
+
+// "Add site & fill" from a fill review in the popup: save the frame's origin to the item
+async function addSiteToItem(itemId, frameUrl) {
+  const origin = getOrigin(frameUrl);
+  if (!origin || !/^https?:/.test(origin)) {
+    return { success: false, error: 'This page cannot be saved to an item' };
+  }
+  return sendNativeMessage('addUrl', { id: itemId, url: origin });
+}
+
+// Pick the frame to fill: a frame with a focused login field, else the top frame if it has
+// login fields, else the first frame that does
+async function findLoginFrame(tabId) {
+  let frames;
+  try {
+    frames = await chrome.webNavigation.getAllFrames({ tabId });
+  } catch (error) {
+    frames = null;
+  }
+  if (!frames) {
+    return 0;
+  }
+
+  const candidates = [];
+  for (const frame of frames) {
+    try {
+      const fields = await chrome.tabs.sendMessage(tabId, { action: 'getFields' }, { frameId: frame.frameId });
+      if (fields?.hasPassword || fields?.hasUsername) {
+        candidates.push({ frameId: frame.frameId, ...fields });
       }
-    }, 5000);
+    } catch (error) {
+      // No content script in this frame
+    }
+  }
+
+  const focused = candidates.find(c => c.hasFocus);
+  const top = candidates.find(c => c.frameId === 0);
+  const withPassword = candidates.find(c => c.hasPassword);
+  return (focused || top || withPassword || candidates[0] || { frameId: 0 }).frameId;
+}
+
+// Content scripts in same-origin child frames leave messages to the frame above, which reaches
+// into them (handledByParentFrame in content.js). Returns the frame that handles frameId's fields.
+async function findHandlingFrame(tabId, frameId) {
+  let frames;
+  try {
+    frames = await chrome.webNavigation.getAllFrames({ tabId });
+  } catch (error) {
+    frames = null;
+  }
+  if (!frames) {
+    return frameId;
+  }
+
+  const framesById = new Map(frames.map(frame => [frame.frameId, frame]));
+  let frame = framesById.get(frameId);
+  while (frame && frame.parentFrameId >= 0) {
+    const parent = framesById.get(frame.parentFrameId);
+    // about:blank and srcdoc frames take their parent's origin; opaque ones match nothing
+    const origin = getOrigin(frame.url);
+    const sameOrigin = frame.url.startsWith('about:') || (origin !== 'null' && origin === getOrigin(parent?.url));
+    if (!parent || !sameOrigin) break;
+    frame = parent;
+  }
+  return frame ? frame.frameId : frameId;
+}
+
+// Fill an item into a tab, checking the target frame's origin first
+async function fillItemInTab(tabId, itemId, { frameId, confirmed = false, allowSubmit = true } = {}) {
+  const targetFrameId = frameId ?? await findLoginFrame(tabId);
+  const tab = await chrome.tabs.get(tabId);
+  const frame = targetFrameId === 0
+    ? { url: tab.url }
+    : await chrome.webNavigation.getFrame({ tabId, frameId: targetFrameId });
+
+  const creds = await sendNativeMessage('getCredentials', { id: itemId });
+  if (!creds.success || !creds.data) {
+    return creds;
+  }
+
+  const fields = await chrome.tabs.sendMessage(tabId, { action: 'getFields' }, { frameId: targetFrameId })
+    .catch(() => null);
+  const policy = checkFramePolicy(frame?.url, tab.url, creds.data, fields?.formAction);
+  if (policy.needsConfirmation && !confirmed) {
+    return { ...confirmationRequired(policy), frameId: targetFrameId };
+  }
+
+  if (creds.data.totp) {
+    await setPendingTotp(tabId, frame?.url || tab.url, itemId);
+  }
+  await setFilledItem(tabId, frame?.url || tab.url, itemId);
+
+  await chrome.tabs.sendMessage(tabId, {
+    action: 'fillCredentials',
+    itemId,
+    username: creds.data.username,
+    password: creds.data.password,
+    submit: allowSubmit && await shouldSubmitAfterFill(frame?.url || tab.url, creds.data)
+  }, { frameId: targetFrameId });
+
+  return { success: true, frameId: targetFrameId };
+}
+
+// Fill a card or identity into a tab. Neither is saved for a site, so only the frame is checked.
+async function fillDetailsInTab(tabId, kind, itemId, { frameId = 0, confirmed = false } = {}) {
+  const details = await sendNativeMessage(kind === 'card' ? 'getCard' : 'getIdentity', { id: itemId });
+  if (!details.success || !details.data) {
+    return details;
+  }
+
+  const tab = await chrome.tabs.get(tabId);
+  const frame = frameId === 0 ? { url: tab.url } : await chrome.webNavigation.getFrame({ tabId, frameId });
+  const policy = checkFramePolicy(frame?.url, tab.url, details.data, null, { siteBound: false });
+  if (policy.needsConfirmation && !confirmed) {
+    return { ...confirmationRequired(policy), frameId };
+  }
+
+  const message = kind === 'card'
+    ? { action: 'fillCard', card: details.data }
+    : { action: 'fillIdentity', identity: details.data };
+  const result = await chrome.tabs.sendMessage(tabId, message, { frameId }).catch(() => null);
+  return result?.success ? { success: true, frameId } : { success: false, error: 'Nothing to fill on this page' };
+}
+
+// Fill review
+// Fills the frame policy stopped wait here until the user confirms them in the popup. A warning
+// shown in the page could be clicked by that page's scripts, so a flagged frame can never
+// confirm its own fill, and nothing a page sends can add its site to an item.
+const FILL_REVIEW_TTL = 2 * 60 * 1000;
+
+function fillReviewKey(tabId) {
+  return `fillReview:${tabId}`;
+}
 
-    currentPort.postMessage(message);
+// review: { kind: 'login' | 'card' | 'identity', itemId, title, frameId, policy }
+async function holdFillForReview(tabId, review) {
+  await chrome.storage.session.set({
+    [fillReviewKey(tabId)]: { ...review, createdAt: Date.now() }
   });
 }
 
+async function getFillReview(tabId) {
+  const key = fillReviewKey(tabId);
+  const review = (await chrome.storage.session.get(key))[key];
+  if (!review) return null;
+
+  if (Date.now() - review.createdAt > FILL_REVIEW_TTL) {
+    await chrome.storage.session.remove(key);
+    return null;
+  }
+  return review;
+}
+
+function clearFillReview(tabId) {
+  return chrome.storage.session.remove(fillReviewKey(tabId));
+}
+
+// A content script asked for an item's secrets: hold the fill if its frame needs confirming.
+// Returns the answer for the content script in that case, null if the frame may have them.
+async function holdFlaggedFill(sender, kind, request, result, formAction = null) {
+  const policy = checkFramePolicy(sender.url, sender.tab.url, result.data, formAction, { siteBound: kind === 'login' });
+  if (!policy.needsConfirmation) {
+    return null;
+  }
+
+  const held = confirmationRequired(policy);
+  await holdFillForReview(sender.tab.id, {
+    kind,
+    itemId: request.id,
+    title: request.title,
+    frameId: sender.frameId,
+    policy: held.data
+  });
+  return held;
+}
+
+// The browser may refuse to open the popup without a user gesture; the review then waits
+// for the user to open it
+async function openFillReview() {
+  try {
+    await chrome.action.openPopup();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The shortcut and context menu have no UI of their own to confirm in
+async function reviewInPopup(tabId, item, result) {
+  await holdFillForReview(tabId, {
+    kind: 'login',
+    itemId: item.id,
+    title: item.title,
+    frameId: result.frameId,
+    policy: result.data
+  });
+  await openFillReview();
+}
+
+// The user confirmed in the popup: fill the frame that was checked, if it still shows the same origin
+async function confirmFillReview(tabId, { addSite = false } = {}) {
+  const review = await getFillReview(tabId);
+  if (!review) {
+    return { success: false, error: 'Nothing is waiting to be filled' };
+  }
+  await clearFillReview(tabId);
+
+  const frame = await chrome.webNavigation.getFrame({ tabId, frameId: review.frameId }).catch(() => null);
+  if (!frame || getOrigin(frame.url) !== review.policy.frameOrigin) {
+    return { success: false, error: 'The page changed, try filling again' };
+  }
+
+  if (addSite) {
+    if (!review.policy.canAddSite) {
+      return { success: false, error: 'This page cannot be saved to the item' };
+    }
+    const added = await addSiteToItem(review.itemId, frame.url);
+    if (!added.success) {
+      return added;
+    }
+  }
+
+  return review.kind === 'login'
+    ? fillItemInTab(tabId, review.itemId, { frameId: review.frameId, confirmed: true })
+    : fillDetailsInTab(tabId, review.kind, review.itemId, { frameId: review.frameId, confirmed: true });
+}
+
+// Toolbar badge
+// The active tab's badge shows how many logins match it, or that the vault is locked or the
+// app can't be reached. Only the active tabs are kept current; others catch up when activated.
+const BADGE_COLORS = {
+  matches: '#4A9FFF',
+  locked: '#8E8E93',
+  error: '#FF453A'
+};
+
+const badgeTokens = new Map(); // tabId -> token of the latest update, so a slower one can't win
+let badgeStateKey = null;
+
+function errorBadge(title) {
+  return { text: '!', color: BADGE_COLORS.error, title: `DodoPass: ${title}` };
+}
+
+// What the transport already knows is failing, without sending a request that would only wait
+// for a reconnect
+function badgeForConnection(state) {
+  if (state.status === 'disconnected' && state.retryAt) {
+    return errorBadge('Can\'t reach the DodoPass helper');
+  }
+  if (state.appAvailable === false) {
+    return errorBadge('DodoPass is not running');
+  }
+  if (state.compatibility && state.compatibility !== 'ok') {
+    return errorBadge(PROTOCOL_ERRORS[state.compatibility]);
+  }
+  if (state.paired === false) {
+    return errorBadge('Open the popup to pair this browser');
+  }
+  return null;
+}
+
+async function computeBadge(url) {
+  const connectionBadge = badgeForConnection(nativeTransport.getState());
+  if (connectionBadge) {
+    return connectionBadge;
+  }
+
+  const status = await getVaultStatus();
+  if (!status.success) {
+    return errorBadge(status.error || 'DodoPass is not available');
+  }
+  if (status.data?.locked) {
+    return { text: '🔒', color: BADGE_COLORS.locked, title: 'DodoPass is locked' };
+  }
+  if (!/^https?:/.test(url || '')) {
+    return { text: '', color: BADGE_COLORS.matches, title: 'DodoPass' };
+  }
+
+  const results = await listItemsForUrl(url);
+  if (!results.success) {
+    return errorBadge(results.error || 'DodoPass is not available');
+  }
+
+  const count = results.data.items.length;
+  return {
+    text: count === 0 ? '' : count > 99 ? '99+' : String(count),
+    color: BADGE_COLORS.matches,
+    title: count === 0 ? 'DodoPass: no logins for this site'
+      : count === 1 ? 'DodoPass: 1 login for this site'
+        : `DodoPass: ${count} logins for this site`
+  };
+}
+
+async function updateBadge(tabId, url) {
+  const token = Symbol('badge');
+  badgeTokens.set(tabId, token);
+
+  let badge;
+  try {
+    badge = await computeBadge(url);
+  } catch (error) {
+    badge = errorBadge(error.message);
+  }
+  if (badgeTokens.get(tabId) !== token) return;
+  badgeTokens.delete(tabId);
+
+  try {
+    await chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+    await chrome.action.setBadgeText({ tabId, text: badge.text });
+    await chrome.action.setTitle({ tabId, title: badge.title });
+  } catch {
+    // The tab was closed in the meantime
+  }
+}
+
+async function refreshActiveBadges() {
+  const tabs = await chrome.tabs.query({ active: true });
+  for (const tab of tabs) {
+    updateBadge(tab.id, tab.url);
+  }
+}
+
+// Connecting and idle states say nothing new, and refreshing on them would reopen the port
+function refreshBadgesForState(state) {
+  if (state.status === 'connecting') return;
+
+  const key = [state.status, state.appAvailable, state.compatibility, state.paired].join('|');
+  if (key === badgeStateKey) return;
+  badgeStateKey = key;
+
+  if (state.status === 'disconnected' && !state.retryAt) return;
+  refreshActiveBadges();
+}
+
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    updateBadge(tab.id, tab.url);
+  } catch {
+    // Closed before we got to it
+  }
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (!tab.active || !(changeInfo.url || changeInfo.status === 'complete')) return;
+  updateBadge(tabId, tab.url);
+});
+
+chrome.runtime.onStartup.addListener(refreshActiveBadges);
+
 // API for popup and content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   (async () => {
     try {
       switch (request.action) {
         case 'getStatus':
-          const status = await sendNativeMessage('status');
-          sendResponse(status);
+          const status = await getVaultStatus();
+          // The status came over the connection, so the app's hello is in
+          sendResponse(status.success ? { ...status, data: { ...status.data, features: getAppFeatures() } } : status);
+          break;
+
+        case 'getConnectionState':
+          sendResponse({ success: true, data: nativeTransport.getState() });
+          break;
+
+        case 'startPairing':
+          // Only the popup pairs; pages must not be able to prompt for it
+          if (sender.tab) {
+            sendResponse({ success: false, error: 'Pair from the DodoPass popup' });
+            break;
+          }
+          const pairingResult = await pairedChannel.startPairing(sendNativeMessage);
+          sendResponse(pairingResult);
+          break;
+
+        case 'checkPairing':
+          if (sender.tab) {
+            sendResponse({ success: false, error: 'Pair from the DodoPass popup' });
+            break;
+          }
+          const pairingStatus = await pairedChannel.checkPairing(sendNativeMessage);
+          if (pairingStatus.success && pairingStatus.data.status !== 'pending') {
+            nativeTransport.resetChannel();
+          }
+          sendResponse(pairingStatus);
           break;
 
         case 'search':
@@ -92,15 +902,114 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           break;
 
         case 'listForUrl':
-          const urlResults = await sendNativeMessage('listForUrl', { url: request.url });
+          // A content script gets the items for the frame it runs in, whatever URL it asks about
+          const urlResults = await listItemsForUrl(sender.tab ? sender.url : request.url);
           sendResponse(urlResults);
           break;
 
         case 'getCredentials':
           const credentials = await sendNativeMessage('getCredentials', { id: request.id });
+
+          // Content scripts run in every frame; check the requesting frame before releasing secrets
+          if (sender.tab && credentials.success && credentials.data) {
+            const heldLogin = await holdFlaggedFill(sender, 'login', request, credentials, request.formAction);
+            if (heldLogin) {
+              sendResponse(heldLogin);
+              break;
+            }
+            if (credentials.data.totp) {
+              await setPendingTotp(sender.tab.id, sender.url || sender.tab.url, request.id);
+            }
+            await setFilledItem(sender.tab.id, sender.url || sender.tab.url, request.id);
+            sendResponse({ ...credentials, submit: await shouldSubmitAfterFill(sender.url, credentials.data) });
+            break;
+          }
           sendResponse(credentials);
           break;
 
+        case 'fillItem':
+          // The popup filling the active tab; pages get their own frame checked when they ask
+          if (sender.tab) {
+            sendResponse({ success: false, error: 'Not available to pages' });
+            break;
+          }
+          const fillKind = request.kind || 'login';
+          const fillResult = fillKind === 'login'
+            ? await fillItemInTab(request.tabId, request.itemId, { frameId: request.frameId })
+            : await fillDetailsInTab(request.tabId, fillKind, request.itemId, { frameId: request.frameId });
+          if (fillResult.needsConfirmation) {
+            await holdFillForReview(request.tabId, {
+              kind: fillKind,
+              itemId: request.itemId,
+              title: request.title,
+              frameId: fillResult.frameId,
+              policy: fillResult.data
+            });
+          }
+          sendResponse(fillResult);
+          break;
+
+        case 'openFillReview':
+          // The page's dropdown asking to show the fill the worker held for its tab
+          const reviewOpened = !!sender.tab && !!(await getFillReview(sender.tab.id)) && await openFillReview();
+          sendResponse({ success: reviewOpened });
+          break;
+
+        case 'getFillReview':
+        case 'confirmFillReview':
+        case 'dismissFillReview':
+          // Only the popup, which pages can't script, decides on a held fill
+          if (sender.tab) {
+            sendResponse({ success: false, error: 'Not available to pages' });
+            break;
+          }
+          if (request.action === 'getFillReview') {
+            sendResponse({ success: true, data: await getFillReview(request.tabId) });
+          } else if (request.action === 'confirmFillReview') {
+            sendResponse(await confirmFillReview(request.tabId, { addSite: !!request.addSite }));
+          } else {
+            await clearFillReview(request.tabId);
+            sendResponse({ success: true });
+          }
+          break;
+
+        case 'generatePassword':
+          const generated = generatePassword(await getGeneratorOptions(), request.constraints || {});
+          sendResponse({ success: true, data: { password: generated } });
+          break;
+
+        case 'rememberGeneratedPassword':
+          await addToGeneratorHistory(request.password, sender.url || sender.tab?.url);
+          sendResponse({ success: true });
+          break;
+
+        case 'getPasswordConstraints':
+          // For the popup generator: the password field of the active tab
+          if (sender.tab) {
+            sendResponse({ success: false, error: 'Not available to pages' });
+            break;
+          }
+          const constraintsFrameId = await findLoginFrame(request.tabId);
+          const constraints = await chrome.tabs.sendMessage(request.tabId, {
+            action: 'getPasswordConstraints'
+          }, { frameId: constraintsFrameId }).catch(() => null);
+          sendResponse({ success: !!constraints, data: constraints });
+          break;
+
+        case 'fillPassword':
+          // A generated password from the popup
+          if (sender.tab) {
+            sendResponse({ success: false, error: 'Not available to pages' });
+            break;
+          }
+          const passwordFrameId = await findLoginFrame(request.tabId);
+          const passwordFill = await chrome.tabs.sendMessage(request.tabId, {
+            action: 'fillPassword',
+            password: request.password
+          }, { frameId: passwordFrameId }).catch(() => null);
+          sendResponse(passwordFill || { success: false, error: 'No password field on this page' });
+          break;
+
         case 'lock':
           const lockResult = await sendNativeMessage('lock');
           sendResponse(lockResult);
@@ -116,12 +1025,85 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             url: request.url,
             username: request.username,
             password: request.password,
-            title: request.title
+            title: request.title,
+            tags: request.tags,
+            favorite: request.favorite
           });
           sendResponse(saveResult);
           break;
 
+        case 'getPageSettings':
+          // The frame's own URL decides, not what the page says about itself
+          const pageSettings = await getPageSettings(sender.tab ? sender.url : request.url);
+          sendResponse({ success: true, data: pageSettings });
+          break;
+
+        case 'neverSaveForSite':
+          if (!sender.url) {
+            sendResponse({ success: false, error: 'Not sent from a page' });
+            break;
+          }
+          await saveSiteSettings(getSiteKey(sender.url), { savePrompts: false });
+          sendResponse({ success: true });
+          break;
+
+        case 'fillOnPageLoad':
+          if (!sender.tab) {
+            sendResponse({ success: false, error: 'Not sent from a page' });
+            break;
+          }
+          const pageLoadFill = await fillOnPageLoad(sender.tab.id, sender.frameId, sender.url);
+          sendResponse(pageLoadFill);
+          break;
+
+        case 'recordAutoSubmit':
+          if (sender.tab) {
+            await recordAutofill('autoSubmit', sender.url);
+          }
+          sendResponse({ success: true });
+          break;
+
+        case 'listForSite':
+          // The options page choosing the item to fill on a site
+          if (sender.tab) {
+            sendResponse({ success: false, error: 'Not available to pages' });
+            break;
+          }
+          const siteResults = await listItemsForUrl(`https://${request.site}/`);
+          sendResponse(siteResults);
+          break;
+
+        case 'copyToClipboard':
+          const copyResult = await copyToClipboard(request.text, { secret: request.secret !== false });
+          sendResponse(copyResult);
+          break;
+
+        case 'clipboardIdle':
+          if (!sender.tab) {
+            await closeClipboardDocument(request.write);
+          }
+          sendResponse({ success: true });
+          break;
+
+        case 'listTags':
+          const tagResults = await sendNativeMessage('listTags');
+          sendResponse(tagResults);
+          break;
+
+        case 'findItemForPasswordChange':
+          const matchedItem = sender.tab ? await findItemForPasswordChange(sender.tab.id, sender.url || sender.tab.url) : null;
+          sendResponse({ success: !!matchedItem, data: matchedItem });
+          break;
+
         case 'updateCredentials':
+          // Pages only update a login saved for them, not any item they name
+          if (sender.tab) {
+            const updateTarget = await sendNativeMessage('getCredentials', { id: request.id });
+            if (!updateTarget.success || !updateTarget.data || !itemMatchesUrl(updateTarget.data, sender.url)) {
+              sendResponse({ success: false, error: 'Item is not saved for this site' });
+              break;
+            }
+          }
           const updateResult = await sendNativeMessage('updateCredentials', {
             id: request.id,
             username: request.username,
@@ -138,8 +1120,36 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           sendResponse(checkResult);
           break;
 
+        case 'listCards':
+          const cardResults = await sendNativeMessage('listCards');
+          sendResponse(cardResults);
+          break;
+
+        case 'getCard':
+          const card = await sendNativeMessage('getCard', { id: request.id });
+          const heldCard = sender.tab && card.success && card.data && await holdFlaggedFill(sender, 'card', request, card);
+          sendResponse(heldCard || card);
+          break;
+
+        case 'listIdentities':
+          const identityResults = await sendNativeMessage('listIdentities');
+          sendResponse(identityResults);
+          break;
+
+        case 'getIdentity':
+          const identity = await sendNativeMessage('getIdentity', { id: request.id });
+          const heldIdentity = sender.tab && identity.success && identity.data && await holdFlaggedFill(sender, 'identity', request, identity);
+          sendResponse(heldIdentity || identity);
+          break;
+
         case 'getTOTP':
           const totpResult = await sendNativeMessage('getTOTP', { id: request.id });
+
+          // Codes are only shown in, or filled into, pages the item is saved for
+          if (sender.tab && totpResult.success && totpResult.data && !itemMatchesUrl(totpResult.data, sender.url)) {
+            sendResponse({ success: false, error: 'Item is not saved for this site' });
+            break;
+          }
           sendResponse(totpResult);
           break;
 
@@ -153,14 +1163,48 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           sendResponse(strengthResult);
           break;
 
+        case 'setLoginFlow':
+          if (sender.tab) {
+            await setLoginFlow(sender.tab.id, sender.url || sender.tab.url, {
+              ...(request.itemId && { itemId: request.itemId }),
+              ...(request.username && { username: request.username })
+            });
+          }
+          sendResponse({ success: true });
+          break;
+
+        case 'getLoginFlow':
+          const flow = sender.tab ? await getLoginFlow(sender.tab.id, sender.url || sender.tab.url) : null;
+          sendResponse({ success: true, data: flow });
+          break;
+
+        case 'completeLoginFlow':
+          if (sender.tab) {
+            await completeLoginFlow(sender.tab.id);
+          }
+          sendResponse({ success: true });
+          break;
+
+        case 'takePendingTotp':
+          const pendingTotp = sender.tab ? await takePendingTotp(sender.tab.id, sender.url || sender.tab.url) : null;
+          sendResponse({ success: true, data: pendingTotp });
+          break;
+
+        case 'clearLoginFlow':
+          if (sender.tab) {
+            await clearLoginFlow(sender.tab.id);
+          }
+          sendResponse({ success: true });
+          break;
+
         case 'fill':
-          // Send credentials to content script
+          // Send credentials back to the content script of the frame that asked
           if (sender.tab) {
             chrome.tabs.sendMessage(sender.tab.id, {
               action: 'fillCredentials',
               username: request.username,
               password: request.password
-            });
+            }, { frameId: sender.frameId });
           }
           sendResponse({ success: true });
           break;
@@ -183,19 +1227,22 @@ chrome.commands.onCommand.addListener(async (command) => {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (!tab) return;
 
+      // Sites with autofill turned off are filled from the popup only
+      const settings = await getPageSettings(tab.url);
+      if (!settings.autofill) {
+        chrome.action.openPopup();
+        return;
+      }
+
       // Get credentials for current URL
-      const results = await sendNativeMessage('listForUrl', { url: tab.url });
+      const results = await listItemsForUrl(tab.url);
 
       if (results.success && results.data?.items?.length > 0) {
-        const firstItem = results.data.items[0];
-        const creds = await sendNativeMessage('getCredentials', { id: firstItem.id });
-
-        if (creds.success && creds.data) {
-          chrome.tabs.sendMessage(tab.id, {
-            action: 'fillCredentials',
-            username: creds.data.username,
-            password: creds.data.password
-          });
+        const item = pickItemToFill(results.data.items, settings);
+        const fillResult = await fillItemInTab(tab.id, item.id);
+
+        if (fillResult.needsConfirmation) {
+          await reviewInPopup(tab.id, item, fillResult);
         }
       } else {
         // No credentials found - show notification or open popup
@@ -209,6 +1256,8 @@ chrome.commands.onCommand.addListener(async (command) => {
 
 // Context menu for autofill
 chrome.runtime.onInstalled.addListener(() => {
+  refreshActiveBadges();
+
   chrome.contextMenus.create({
     id: 'dodopass-fill',
     title: 'Fill with DodoPass',
@@ -225,17 +1274,14 @@ chrome.runtime.onInstalled.addListener(() => {
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   if (info.menuItemId === 'dodopass-fill') {
     try {
-      const results = await sendNativeMessage('listForUrl', { url: tab.url });
+      const results = await listItemsForUrl(tab.url);
       if (results.success && results.data?.items?.length > 0) {
-        const firstItem = results.data.items[0];
-        const creds = await sendNativeMessage('getCredentials', { id: firstItem.id });
-
-        if (creds.success) {
-          chrome.tabs.sendMessage(tab.id, {
-            action: 'fillCredentials',
-            username: creds.data.username,
-            password: creds.data.password
-          });
+        const item = pickItemToFill(results.data.items, await getPageSettings(tab.url));
+        const fillFrameId = await findHandlingFrame(tab.id, info.frameId);
+        const fillResult = await fillItemInTab(tab.id, item.id, { frameId: fillFrameId });
+
+        if (fillResult.needsConfirmation) {
+          await reviewInPopup(tab.id, item, fillResult);
         }
       }
     } catch (error) {
@@ -243,40 +1289,26 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     }
   } else if (info.menuItemId === 'dodopass-generate') {
     try {
-      const password = generatePassword();
-      chrome.tabs.sendMessage(tab.id, {
+      // Generate something the clicked field will accept
+      const frameId = await findHandlingFrame(tab.id, info.frameId);
+      const constraints = await chrome.tabs.sendMessage(tab.id, {
+        action: 'getPasswordConstraints'
+      }, { frameId }).catch(() => ({}));
+
+      const password = generatePassword(await getGeneratorOptions(), constraints);
+      const filled = await chrome.tabs.sendMessage(tab.id, {
         action: 'fillPassword',
         password: password
-      });
+      }, { frameId }).catch(() => null);
+
+      // Only passwords that went into a field are worth finding again
+      if (filled?.success) {
+        await addToGeneratorHistory(password, info.frameUrl || tab.url);
+      }
     } catch (error) {
       console.error('Generate password error:', error);
     }
   }
 });
 
-// Simple password generator
-function generatePassword(length = 20) {
-  const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-  const lowercase = 'abcdefghijklmnopqrstuvwxyz';
-  const numbers = '0123456789';
-  const symbols = '!@#$%^&*()_+-=[]{}|;:,.<>?';
-  const allChars = uppercase + lowercase + numbers + symbols;
-
-  let password = '';
-
-  // Ensure at least one of each type
-  password += uppercase[Math.floor(Math.random() * uppercase.length)];
-  password += lowercase[Math.floor(Math.random() * lowercase.length)];
-  password += numbers[Math.floor(Math.random() * numbers.length)];
-  password += symbols[Math.floor(Math.random() * symbols.length)];
-
-  // Fill the rest
-  for (let i = password.length; i < length; i++) {
-    password += allChars[Math.floor(Math.random() * allChars.length)];
-  }
-
-  // Shuffle
-  return password.split('').sort(() => Math.random() - 0.5).join('');
-}
-
 console.log('DodoPass background service worker loaded');
@@ -0,0 +1,234 @@
+// DodoPass Browser Extension - Field Classifier
+// Loaded before content.js; scores login fields from many weak signals instead of fixed selectors.
+
+// Keywords per role, matching the app's localizations (en, de, es, fr, tr)
+const CLASSIFIER_KEYWORDS = {
+  username: [
+    // en
+    'username', 'user name', 'user', 'userid', 'user id', 'login', 'log in', 'sign in', 'signin',
+    'email', 'e-mail', 'mail', 'account', 'identifier', 'loginfmt', 'j_username', 'uid', 'member',
+    // de
+    'benutzername', 'benutzer', 'anmeldename', 'anmelden', 'kennung', 'konto', 'e-mail-adresse',
+    // es
+    'usuario', 'nombre de usuario', 'correo', 'correo electrónico', 'cuenta', 'iniciar sesión',
+    // fr
+    'identifiant', "nom d'utilisateur", 'utilisateur', 'courriel', 'adresse e-mail', 'compte', 'connexion',
+    // tr
+    'kullanıcı adı', 'kullanıcı', 'kullanici', 'e-posta', 'eposta', 'hesap', 'giriş', 'oturum'
+  ],
+  notUsername: [
+    // en
+    'search', 'query', 'captcha', 'coupon', 'promo', 'newsletter', 'subscribe', 'otp', 'verification code',
+    'first name', 'last name', 'full name', 'street', 'city', 'zip', 'postal', 'phone', 'card', 'comment',
+    // de
+    'suche', 'vorname', 'nachname', 'straße', 'strasse', 'telefon',
+    // es
+    'buscar', 'búsqueda', 'apellido', 'calle', 'teléfono',
+    // fr
+    'recherche', 'prénom', 'nom de famille', 'rue', 'téléphone',
+    // tr
+    'arama', 'ara', 'soyad', 'sokak', 'telefon'
+  ],
+  currentPassword: [
+    'current', 'old', 'existing', 'previous',
+    'aktuell', 'aktuelles', 'alt', 'altes', 'bisherig', 'bisheriges',
+    'actual', 'anterior', 'antigua',
+    'actuel', 'ancien',
+    'mevcut', 'eski', 'şimdiki'
+  ],
+  newPassword: [
+    'new', 'confirm', 'repeat', 'retype', 're-enter', 'verify', 'again',
+    'neu', 'neues', 'neue', 'bestätigen', 'wiederholen',
+    'nueva', 'nuevo', 'confirmar', 'repetir',
+    'nouveau', 'nouvelle', 'confirmer', 'répéter', 'confirmation',
+    'yeni', 'tekrar', 'onayla', 'doğrula'
+  ],
+  oneTimeCode: [
+    'otp', 'totp', '2fa', 'mfa', 'one time code', 'one time password', 'two factor', 'verification code',
+    'security code', 'authentication code', 'auth code', 'authenticator', 'passcode',
+    'einmalcode', 'bestätigungscode', 'sicherheitscode', 'verifizierungscode', 'zwei faktor',
+    'código de verificación', 'código de seguridad', 'un solo uso', 'dos factores',
+    'code de vérification', 'code de sécurité', 'usage unique', 'double authentification', 'deux facteurs',
+    'doğrulama kodu', 'güvenlik kodu', 'onay kodu', 'tek kullanımlık', 'iki faktörlü'
+  ]
+};
+
+// Autocomplete tokens that tell us a text field is something other than a username
+const NON_USERNAME_AUTOCOMPLETE = /^(given-name|family-name|additional-name|name|tel.*|street-address|address-.*|postal-code|country.*|cc-.*|one-time-code|organization|bday.*)$/;
+
+const USERNAME_INPUT_SELECTOR = 'input:not([type]), input[type="text"], input[type="email"], input[type="tel"]';
+
+// Confidence needed to treat a field as the username
+const USERNAME_MIN_CONFIDENCE = 0.3;
+
+// Normalize attribute text so "user_name", "userName" and "user-name" all read as "user name"
+function normalizeHint(text) {
+  return (text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[_\-.\[\]]+/g, ' ')
+    .toLowerCase()
+    .trim();
+}
+
+// One whole-word pattern per keyword list, compiled once
+const KEYWORD_PATTERNS = Object.fromEntries(
+  Object.entries(CLASSIFIER_KEYWORDS).map(([role, keywords]) => {
+    const alternatives = keywords
+      .map(keyword => normalizeHint(keyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+    return [role, new RegExp(`(^|[^\\p{L}])(${alternatives})($|[^\\p{L}])`, 'u')];
+  })
+);
+
+function matchesKeyword(text, role) {
+  return !!text && KEYWORD_PATTERNS[role].test(text);
+}
+
+// Text of the <label> elements and aria-labelledby targets that describe a field
+function getLabelText(field) {
+  const parts = [];
+
+  if (field.labels) {
+    for (const label of field.labels) {
+      parts.push(label.textContent);
+    }
+  }
+
+  const labelledBy = field.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const root = field.getRootNode();
+    for (const id of labelledBy.split(/\s+/)) {
+      const element = root.getElementById ? root.getElementById(id) : null;
+      if (element) parts.push(element.textContent);
+    }
+  }
+
+  return normalizeHint(parts.join(' '));
+}
+
+function getAutocompleteTokens(field) {
+  return (field.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// Score how likely a text field is the username, from 0 up
+function scoreUsername(field, passwordField) {
+  const autocomplete = getAutocompleteTokens(field);
+  if (autocomplete.some(token => NON_USERNAME_AUTOCOMPLETE.test(token))) {
+    return 0;
+  }
+
+  let score = 0;
+
+  if (autocomplete.includes('username')) score += 100;
+  else if (autocomplete.includes('email')) score += 60;
+
+  if (field.type === 'email') score += 30;
+
+  const attributes = normalizeHint(`${field.name || ''} ${field.id || ''}`);
+  const label = getLabelText(field);
+  const placeholder = normalizeHint(field.getAttribute('placeholder'));
+  const aria = normalizeHint(field.getAttribute('aria-label'));
+
+  // Attribute names are mostly English even on localized pages, visible text is not
+  if (matchesKeyword(attributes, 'username')) score += 40;
+  if (matchesKeyword(label, 'username')) score += 30;
+  if (matchesKeyword(placeholder, 'username')) score += 25;
+  if (matchesKeyword(aria, 'username')) score += 25;
+
+  const allText = `${attributes} ${label} ${placeholder} ${aria}`;
+  if (matchesKeyword(allText, 'notUsername')) score -= 60;
+
+  // Usernames come right before the password field
+  if (passwordField && sharesForm(field, passwordField) && precedes(field, passwordField)) {
+    score += 20;
+    if (isNearestInputBefore(field, passwordField)) score += 15;
+  }
+
+  return Math.max(0, score);
+}
+
+// Score a password field as current or new password
+function scorePasswordRoles(field) {
+  const autocomplete = getAutocompleteTokens(field);
+  const scores = { password: 50, currentPassword: 0, newPassword: 0 };
+
+  if (autocomplete.includes('current-password')) scores.currentPassword += 100;
+  if (autocomplete.includes('new-password')) scores.newPassword += 100;
+
+  const text = [
+    normalizeHint(`${field.name || ''} ${field.id || ''}`),
+    getLabelText(field),
+    normalizeHint(field.getAttribute('placeholder')),
+    normalizeHint(field.getAttribute('aria-label'))
+  ].join(' ');
+
+  // Most forms say it in names and labels only: a keyword alone outweighs a plain password
+  if (matchesKeyword(text, 'currentPassword')) scores.currentPassword += 60;
+  if (matchesKeyword(text, 'newPassword')) scores.newPassword += 60;
+
+  return scores;
+}
+
+/**
+ * Classify a single field.
+ * Returns { role, confidence, scores } where role is 'username', 'password',
+ * 'currentPassword', 'newPassword' or null, and confidence is between 0 and 1.
+ */
+function classifyField(field, { passwordField = null } = {}) {
+  if (field.type === 'password') {
+    const scores = scorePasswordRoles(field);
+    const [role, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    return { role, confidence: Math.min(1, score / 100), scores };
+  }
+
+  if (!field.matches(USERNAME_INPUT_SELECTOR)) {
+    return { role: null, confidence: 0, scores: {} };
+  }
+
+  const score = scoreUsername(field, passwordField);
+  const confidence = Math.min(1, score / 100);
+  return {
+    role: confidence > 0 ? 'username' : null,
+    confidence,
+    scores: { username: score }
+  };
+}
+
+/**
+ * Pick the most likely username field among candidates.
+ * Returns { field, confidence } or null when nothing reaches minConfidence.
+ */
+function findBestUsernameField(candidates, { passwordField = null, minConfidence = USERNAME_MIN_CONFIDENCE } = {}) {
+  let best = null;
+
+  for (const field of candidates) {
+    if (field === passwordField) continue;
+
+    const { role, confidence } = classifyField(field, { passwordField });
+    if (role === 'username' && confidence >= minConfidence && (!best || confidence > best.confidence)) {
+      best = { field, confidence };
+    }
+  }
+
+  return best;
+}
+
+function sharesForm(a, b) {
+  return a.closest('form') === b.closest('form');
+}
+
+function precedes(a, b) {
+  if (a.getRootNode() !== b.getRootNode()) {
+    // Different shadow roots or frames: compare their hosts in the document
+    return false;
+  }
+  return !!(a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING);
+}
+
+// True if no other text input sits between the field and the password field
+function isNearestInputBefore(field, passwordField) {
+  const context = passwordField.closest('form') || passwordField.getRootNode();
+  const inputs = Array.from(context.querySelectorAll(USERNAME_INPUT_SELECTOR));
+  const before = inputs.filter(input => precedes(input, passwordField));
+  return before[before.length - 1] === field;
+}
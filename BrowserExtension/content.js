@@ -1,18 +1,103 @@
 // DodoPass Browser Extension - Content Script
 
+// Same-origin child frames are walked by the content script of their parent,
+// so only frames that are cross-origin to their parent (and the top frame) act on their own
+const handledByParentFrame = window !== window.top && !!window.frameElement;
+
 // State
 let currentDropdown = null;
-let saveBanner = null;
+let dropdownHost = null; // The page element holding the dropdown's closed shadow root
+let saveBanner = null; // The page element holding the save or update banner's closed shadow root
+let saveBannerTimer = null; // Dismisses the save banner unless the user is in it
 let selectedIndex = 0;
 let dropdownItems = [];
 let activeField = null;
-let totpInterval = null;
+let dropdownMode = 'login'; // 'login' | 'card' | 'identity' | 'suggest'
+let suggestedPassword = null; // Generated password the user accepted, for save detection
+let passwordChange = null; // { itemId, newPassword } while a guided password change waits for submit
+let trackedLoginFields = { username: null, password: null };
+let connectionStatePort = null; // Held while the dropdown is open
+let dropdownOffline = false; // The dropdown shows a connection problem instead of items
+let appFeatures = null; // What the connected app serves, from the last status; null until one came
+
+// Live TOTP codes in the dropdown, refreshed once per period
+const totpTicker = createTotpTicker({
+  fetchCode: (itemId) => sendMessage({ action: 'getTOTP', id: itemId }),
+  // Reload the list so it shows the locked state
+  onLocked: () => currentDropdown && loadDropdownItems()
+});
+
+// Collect elements matching a selector in document order, descending into
+// open shadow roots and same-origin iframes
+function collectFields(selector, root = document) {
+  // During a form scan, page-wide lookups reuse the scan's single walk
+  if (scannedElements && root === document) {
+    return scannedElements.filter(element => element.matches(selector));
+  }
+
+  const results = [];
+
+  const walk = (node) => {
+    const ownerDocument = node.ownerDocument || node;
+    const walker = ownerDocument.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+
+    let element = walker.nextNode();
+    while (element) {
+      if (element.matches(selector) && !isOwnElement(element)) {
+        results.push(element);
+      }
+      if (element.shadowRoot) {
+        walk(element.shadowRoot);
+      }
+      if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+        const frameDocument = getFrameDocument(element);
+        if (frameDocument?.documentElement) {
+          walk(frameDocument.documentElement);
+        }
+      }
+      element = walker.nextNode();
+    }
+  };
+
+  walk(root);
+  return results;
+}
+
+// Returns the document of a same-origin frame, or null for cross-origin frames
+function getFrameDocument(frame) {
+  try {
+    return frame.contentDocument;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The focused element, looking through shadow roots and same-origin frames
+function getDeepActiveElement() {
+  let element = document.activeElement;
+  while (element) {
+    if (element.shadowRoot?.activeElement) {
+      element = element.shadowRoot.activeElement;
+    } else if ((element.tagName === 'IFRAME' || element.tagName === 'FRAME') && getFrameDocument(element)?.activeElement) {
+      element = getFrameDocument(element).activeElement;
+    } else {
+      break;
+    }
+  }
+  return element;
+}
+
+// The element an event really happened on, even if it was retargeted to a shadow host
+function getEventTarget(e) {
+  return e.composedPath ? e.composedPath()[0] : e.target;
+}
 
 // Detect form type based on password fields
 function detectFormType(form) {
   const context = form || document;
-  const passwordFields = context.querySelectorAll('input[type="password"]:not([hidden]):not([style*="display: none"])');
-  const visiblePasswordFields = Array.from(passwordFields).filter(f => isVisible(f));
+  const passwordFields = collectFields('input[type="password"]:not([hidden]):not([style*="display: none"])', context);
+  // Some checkout forms use a password input for the CVV
+  const visiblePasswordFields = Array.from(passwordFields).filter(f => isVisible(f) && !getPaymentFieldRole(f));
 
   if (visiblePasswordFields.length === 0) {
     return { type: 'none', fields: [] };
@@ -37,9 +122,11 @@ function findLoginFields() {
   };
 
   // Find password field
-  const passwordFields = document.querySelectorAll('input[type="password"]:not([hidden]):not([style*="display: none"])');
+  const passwordFields = collectFields('input[type="password"]:not([hidden]):not([style*="display: none"])')
+    .filter(f => !getPaymentFieldRole(f));
   if (passwordFields.length > 0) {
-    fields.password = passwordFields[0];
+    // On change-password forms, fill the current password rather than a new one
+    fields.password = passwordFields.find(f => classifyField(f).role !== 'newPassword') || passwordFields[0];
   }
 
   // Find username field
@@ -47,52 +134,47 @@ function findLoginFields() {
     const form = fields.password.closest('form');
     const searchContext = form || document;
 
-    const usernameSelectors = [
-      'input[type="email"]:not([hidden])',
-      'input[type="text"][name*="user" i]:not([hidden])',
-      'input[type="text"][name*="email" i]:not([hidden])',
-      'input[type="text"][name*="login" i]:not([hidden])',
-      'input[type="text"][id*="user" i]:not([hidden])',
-      'input[type="text"][id*="email" i]:not([hidden])',
-      'input[type="text"][id*="login" i]:not([hidden])',
-      'input[autocomplete="username"]:not([hidden])',
-      'input[autocomplete="email"]:not([hidden])'
-    ];
-
-    for (const selector of usernameSelectors) {
-      const field = searchContext.querySelector(selector);
-      if (field && isVisible(field)) {
-        fields.username = field;
-        break;
-      }
-    }
-
-    // Fallback: find text input before password
-    if (!fields.username && form) {
-      const inputs = form.querySelectorAll('input[type="text"], input[type="email"]');
-      for (const input of inputs) {
-        if (isVisible(input) && input !== fields.password) {
-          fields.username = input;
-          break;
-        }
-      }
+    const candidates = collectFields(USERNAME_INPUT_SELECTOR, searchContext).filter(f => isVisible(f));
+    const best = findBestUsernameField(candidates, { passwordField: fields.password });
+    if (best) {
+      fields.username = best.field;
     }
+  } else {
+    // Identifier-first login: the username is asked for on its own page
+    fields.username = findUsernameStepField();
   }
 
   return fields;
 }
 
+// A username-only step has no password field to anchor on, so ask for more certainty
+const USERNAME_STEP_MIN_CONFIDENCE = 0.5;
+
+// Find the username field of a username-only login step
+function findUsernameStepField() {
+  const candidates = collectFields(USERNAME_INPUT_SELECTOR).filter(f => isVisible(f));
+  const best = findBestUsernameField(candidates, { minConfidence: USERNAME_STEP_MIN_CONFIDENCE });
+  if (!best) return null;
+
+  // A login step asks for little else; bigger forms are signup or contact forms
+  const context = best.field.closest('form') || document;
+  const textInputs = collectFields(`${USERNAME_INPUT_SELECTOR}, textarea`, context)
+    .filter(f => isVisible(f));
+  return textInputs.length <= 2 ? best.field : null;
+}
+
 function isVisible(element) {
   if (!element) return false;
-  const style = window.getComputedStyle(element);
+  const view = element.ownerDocument.defaultView || window;
+  const style = view.getComputedStyle(element);
   return style.display !== 'none' &&
          style.visibility !== 'hidden' &&
          style.opacity !== '0' &&
          element.offsetParent !== null;
 }
 
-// Fill credentials
-function fillCredentials(username, password) {
+// Fill credentials. With submit set, also sign in once the password is in.
+function fillCredentials(username, password, itemId = null, { submit = false } = {}) {
   const fields = findLoginFields();
 
   if (fields.username && username) {
@@ -101,37 +183,806 @@ function fillCredentials(username, password) {
 
   if (fields.password && password) {
     setFieldValue(fields.password, password);
+    if (submit) {
+      submitAfterFill(fields.password);
+    }
+  }
+
+  // Username step only: remember the item so the password page fills the same account
+  if (itemId && fields.username && !fields.password) {
+    sendMessage({ action: 'setLoginFlow', itemId, username }).catch(() => {});
   }
 
   closeDropdown();
   return !!(fields.username || fields.password);
 }
 
+// Fill the password step of a login started on a previous page
+async function resumeLoginFlow() {
+  const fields = findLoginFields();
+  if (!fields.password || fields.password.value) return false;
+
+  try {
+    const flow = await sendMessage({ action: 'getLoginFlow' });
+    if (!flow?.data?.itemId) return false;
+
+    const creds = await sendMessage({
+      action: 'getCredentials',
+      id: flow.data.itemId,
+      formAction: getFormActionOrigin(fields.password)
+    });
+    if (!creds.success || !creds.data) return false;
+
+    // Sites often keep the username in a visible or hidden field on the password page too
+    if (fields.username && !fields.username.value) {
+      setFieldValue(fields.username, creds.data.username);
+    }
+    setFieldValue(fields.password, creds.data.password);
+    await sendMessage({ action: 'completeLoginFlow' });
+    if (creds.submit) {
+      submitAfterFill(fields.password);
+    }
+    return true;
+  } catch (error) {
+    console.error('Login flow error:', error);
+    return false;
+  }
+}
+
+// Auto-submit
+// Signing in goes through the button a user would press, not form.submit(), so the site's own
+// click and submit handlers run as they would for the user.
+const AUTO_SUBMIT_DELAY = 150; // Lets frameworks pick up the filled values first
+const SUBMIT_BUTTON_SELECTOR = 'button[type="submit"], input[type="submit"], button:not([type])';
+const SIGN_IN_BUTTON_PATTERN = /\b(log\s*in|sign\s*in|sign\s*on|continue|next|submit)\b/i;
+
+function submitAfterFill(passwordField) {
+  const button = findSubmitButton(passwordField);
+  if (!button) return false;
+
+  setTimeout(() => {
+    if (!button.isConnected || button.disabled) return;
+    button.click();
+    sendMessage({ action: 'recordAutoSubmit' }).catch(() => {});
+  }, AUTO_SUBMIT_DELAY);
+  return true;
+}
+
+function getButtonLabel(button) {
+  return button.value || button.textContent || button.getAttribute('aria-label') || '';
+}
+
+// The form's submit button, or for a page without a form, the nearest sign-in button around the field
+function findSubmitButton(field) {
+  const usable = button => isVisible(button) && !button.disabled && !isOwnElement(button);
+
+  const form = field.form || field.closest('form');
+  if (form) {
+    // Untyped buttons submit too, but icons like "show password" are often left untyped
+    const buttons = [...form.elements].filter(element => element.matches(SUBMIT_BUTTON_SELECTOR) && usable(element));
+    return buttons.find(button => button.getAttribute('type') === 'submit') ||
+      buttons.find(button => SIGN_IN_BUTTON_PATTERN.test(getButtonLabel(button))) ||
+      null;
+  }
+
+  for (let container = field.parentElement; container && container !== document.documentElement; container = container.parentElement) {
+    const button = collectFields('button, input[type="submit"], [role="button"]', container)
+      .find(candidate => usable(candidate) && SIGN_IN_BUTTON_PATTERN.test(getButtonLabel(candidate)));
+    if (button) return button;
+  }
+  return null;
+}
+
 function setFieldValue(field, value) {
   field.focus();
   field.value = value;
   field.dispatchEvent(new Event('input', { bubbles: true }));
   field.dispatchEvent(new Event('change', { bubbles: true }));
 
-  // For React and other frameworks
-  const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
-    window.HTMLInputElement.prototype, 'value'
-  ).set;
+  // For React and other frameworks. Fields in frames belong to the frame's window.
+  const view = field.ownerDocument.defaultView || window;
+  const prototype = field.tagName === 'TEXTAREA'
+    ? view.HTMLTextAreaElement.prototype
+    : view.HTMLInputElement.prototype;
+  const nativeInputValueSetter = Object.getOwnPropertyDescriptor(prototype, 'value').set;
   nativeInputValueSetter.call(field, value);
   field.dispatchEvent(new Event('input', { bubbles: true }));
 }
 
 // Fill just password
 function fillPassword(password) {
-  const fields = findLoginFields();
-  if (fields.password && password) {
-    setFieldValue(fields.password, password);
+  const field = getPasswordTargetField();
+  if (field && password) {
+    setFieldValue(field, password);
     closeDropdown();
     return true;
   }
   return false;
 }
 
+// The focused password field, e.g. the one right-clicked to generate a password, or the login one
+function getPasswordTargetField() {
+  const focused = getDeepActiveElement();
+  if (focused?.matches?.('input[type="password"]')) {
+    return focused;
+  }
+  return findLoginFields().password;
+}
+
+// What the site accepts for a new password, so the generated one is accepted first time
+function getPasswordConstraints(field) {
+  if (!field) return {};
+
+  return {
+    minLength: field.minLength > 0 ? field.minLength : null,
+    maxLength: field.maxLength > 0 ? field.maxLength : null,
+    pattern: field.getAttribute('pattern') || null,
+    passwordRules: field.getAttribute('passwordrules') || null
+  };
+}
+
+// New-password fields on signup and password-change forms
+// Returns the new password field and its confirmation, if the field's form has them
+function findNewPasswordFields(field) {
+  const { type, fields } = detectFormType(field.closest('form'));
+  let candidates = [];
+
+  if (type === 'registration') {
+    // A new password and its confirmation, unless one of them is the current password: some
+    // change forms only ask for the new one once
+    candidates = fields.filter(f => classifyField(f).role !== 'currentPassword');
+  } else if (type === 'password_change') {
+    // Current, new, confirm: the last two, unless labels say otherwise
+    candidates = fields.filter(f => classifyField(f).role !== 'currentPassword').slice(-2);
+  } else if (type === 'login' && classifyField(fields[0]).role === 'newPassword') {
+    // Signup forms without a confirmation field
+    candidates = fields;
+  }
+
+  return { newField: candidates[0] || null, confirmField: candidates[1] || null };
+}
+
+function isNewPasswordField(field) {
+  const { newField, confirmField } = findNewPasswordFields(field);
+  return field === newField || field === confirmField;
+}
+
+// Fill a generated password into the new and confirm fields
+function acceptSuggestedPassword(password, anchorField = activeField) {
+  const { newField, confirmField } = findNewPasswordFields(anchorField);
+  if (!newField) return false;
+
+  setFieldValue(newField, password);
+  if (confirmField) {
+    setFieldValue(confirmField, password);
+  }
+
+  suggestedPassword = password;
+  sendMessage({ action: 'rememberGeneratedPassword', password }).catch(() => {});
+  closeDropdown();
+  showToast('Strong password filled');
+  return true;
+}
+
+// Guided password change: the current password comes from the item, the new one from the
+// generator, and the item is updated by id once the form is submitted
+function findPasswordChangeFields(form = activeField?.closest('form') || null) {
+  const { fields } = detectFormType(form);
+  const currentField = fields.find(f => classifyField(f).role === 'currentPassword') ||
+    (fields.length >= 3 ? fields[0] : null);
+  if (!currentField) return null;
+
+  const { newField, confirmField } = findNewPasswordFields(currentField);
+  if (!newField || newField === currentField) return null;
+
+  return { currentField, newField, confirmField };
+}
+
+async function startPasswordChange(itemId, currentPassword, fields = findPasswordChangeFields()) {
+  if (!fields) return false;
+
+  try {
+    const generated = await sendMessage({
+      action: 'generatePassword',
+      constraints: getPasswordConstraints(fields.newField)
+    });
+    if (!generated.success) return false;
+
+    const newPassword = generated.data.password;
+    setFieldValue(fields.currentField, currentPassword);
+    setFieldValue(fields.newField, newPassword);
+    if (fields.confirmField) {
+      setFieldValue(fields.confirmField, newPassword);
+    }
+
+    passwordChange = { itemId, newPassword };
+    suggestedPassword = newPassword;
+    sendMessage({ action: 'rememberGeneratedPassword', password: newPassword }).catch(() => {});
+
+    closeDropdown();
+    showToast('New password filled. Submit the form to change it.');
+    return true;
+  } catch (error) {
+    console.error('Password change error:', error);
+    return false;
+  }
+}
+
+// The form with the new password was submitted: save it to the item it was generated for
+async function completePasswordChange() {
+  const { itemId, newPassword } = passwordChange;
+  passwordChange = null;
+
+  try {
+    const result = await sendMessage({ action: 'updateCredentials', id: itemId, password: newPassword });
+    if (result.success) {
+      // The app moves the old password into the item's history, so a rejected change can be undone
+      showToast('Password updated. The old one is kept in its history.');
+    } else {
+      showToast(result.error || 'Failed to update password');
+    }
+  } catch (error) {
+    console.error('Update error:', error);
+    showToast('Failed to update password');
+  }
+}
+
+async function getSuggestedPasswordItems() {
+  const response = await sendMessage({
+    action: 'generatePassword',
+    constraints: getPasswordConstraints(activeField)
+  });
+  if (!response.success) return response;
+
+  return {
+    success: true,
+    data: { items: [{ id: 'suggested', title: 'Use a strong password', password: response.data.password }] }
+  };
+}
+
+// One-time code fields on the two-factor step of a login
+const ONE_TIME_CODE_INPUT_SELECTOR = 'input:not([type]), input[type="text"], input[type="tel"], input[type="number"]';
+
+// A code this close to expiry may be rejected by the time the form is submitted
+const TOTP_MIN_REMAINING = 5;
+
+let oneTimeCodeFillInProgress = false;
+let lastOneTimeCodeField = null;
+
+function isNumericField(field) {
+  return field.inputMode === 'numeric' ||
+         field.type === 'number' ||
+         field.type === 'tel' ||
+         /\\d|\[0-9\]/.test(field.getAttribute('pattern') || '');
+}
+
+function isOneTimeCodeField(field) {
+  if (getAutocompleteTokens(field).includes('one-time-code')) return true;
+  // CVV fields are "security codes" too
+  if (getPaymentFieldRole(field)) return false;
+
+  const text = `${normalizeHint(getFieldHints(field))} ${getLabelText(field)}`;
+  if (!matchesKeyword(text, 'oneTimeCode')) return false;
+
+  return isNumericField(field) || (field.maxLength >= 4 && field.maxLength <= 8);
+}
+
+// The common layout of one box per digit, usually six
+function findSplitCodeBoxes(context = document) {
+  const groups = new Map();
+
+  for (const box of collectFields(ONE_TIME_CODE_INPUT_SELECTOR, context)) {
+    if (box.maxLength !== 1 || !isVisible(box)) continue;
+
+    // Boxes are usually each wrapped in their own element inside a shared container
+    const container = box.closest('form') || box.parentElement?.parentElement || box.parentElement;
+    if (!groups.has(container)) groups.set(container, []);
+    groups.get(container).push(box);
+  }
+
+  const candidates = Array.from(groups.values()).filter(boxes => boxes.length >= 4 && boxes.length <= 8);
+  return candidates.find(boxes => boxes.length === 6) || candidates[0] || null;
+}
+
+// Returns the code field, or the digit boxes in order, or an empty array
+function findOneTimeCodeFields(context = document) {
+  const boxes = findSplitCodeBoxes(context);
+  if (boxes) return boxes;
+
+  const field = collectFields(ONE_TIME_CODE_INPUT_SELECTOR, context)
+    .find(f => isVisible(f) && isOneTimeCodeField(f));
+  return field ? [field] : [];
+}
+
+function fillOneTimeCode(fields, code) {
+  if (fields.length === 1) {
+    setFieldValue(fields[0], code);
+    return;
+  }
+
+  fields.forEach((box, index) => {
+    setFieldValue(box, code[index] || '');
+  });
+}
+
+// Fill the code of the item that was just used to log in, once its code field shows up
+async function fillPendingOneTimeCode() {
+  const fields = findOneTimeCodeFields();
+  if (fields.length === 0 || fields.some(f => f.value)) return false;
+
+  // Re-renders trigger scans; only ask once per code field
+  if (oneTimeCodeFillInProgress || fields[0] === lastOneTimeCodeField) return false;
+  oneTimeCodeFillInProgress = true;
+  lastOneTimeCodeField = fields[0];
+
+  try {
+    const pending = await sendMessage({ action: 'takePendingTotp' });
+    if (!pending?.data?.itemId) return false;
+
+    let totp = await sendMessage({ action: 'getTOTP', id: pending.data.itemId });
+    if (!totp.success) return false;
+
+    if (totp.data.remaining < TOTP_MIN_REMAINING) {
+      showToast(`Waiting ${totp.data.remaining}s for a fresh 2FA code`);
+      await new Promise(resolve => setTimeout(resolve, (totp.data.remaining + 1) * 1000));
+      totp = await sendMessage({ action: 'getTOTP', id: pending.data.itemId });
+      if (!totp.success) return false;
+    }
+
+    // The page may have re-rendered while we waited
+    const current = findOneTimeCodeFields();
+    if (current.length === 0 || current.some(f => f.value)) return false;
+
+    fillOneTimeCode(current, totp.data.code);
+    showToast('2FA code filled');
+    return true;
+  } catch (error) {
+    console.error('One-time code fill error:', error);
+    return false;
+  } finally {
+    oneTimeCodeFillInProgress = false;
+  }
+}
+
+// Payment field detection
+const PAYMENT_AUTOCOMPLETE_ROLES = {
+  'cc-number': 'number',
+  'cc-name': 'name',
+  'cc-exp': 'expiry',
+  'cc-exp-month': 'expMonth',
+  'cc-exp-year': 'expYear',
+  'cc-csc': 'csc'
+};
+
+// Order matters: the first matching pattern wins
+const PAYMENT_NAME_PATTERNS = [
+  { role: 'csc', pattern: /cvc|cvv|csc|cvn|security.?code|card.?code|card.?verification|\bcid\b/ },
+  { role: 'number', pattern: /card.?num|cc.?num|cardnumber|credit.?card(?!.?(holder|name))|\bpan\b/ },
+  { role: 'name', pattern: /card.?holder|name.?on.?card|cc.?name|card.?name|holder.?name/ },
+  { role: 'expiry', pattern: /mm\s*[\/\-.]?\s*(yy|jj|aa)/ },
+  { role: 'expMonth', pattern: /exp.*mo|cc.?month|card.?month|\bmm\b|\bmonth\b/ },
+  { role: 'expYear', pattern: /exp.*y(ea)?r|cc.?year|card.?year|\byy(yy)?\b|\byear\b/ },
+  { role: 'expiry', pattern: /exp(iry|iration)?.?date|valid.?thr|expir|cc.?exp/ }
+];
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+// Text used to guess what a field is for
+function getFieldHints(field) {
+  return [
+    field.name,
+    field.id,
+    field.getAttribute('placeholder'),
+    field.getAttribute('aria-label'),
+    field.getAttribute('data-testid')
+  ].filter(Boolean).join(' ').toLowerCase();
+}
+
+// Returns the payment role of a field, or null if it isn't a payment field
+function getPaymentFieldRole(field) {
+  if (!field.matches('input:not([type]), input[type="text"], input[type="tel"], input[type="number"], input[type="password"], select')) {
+    return null;
+  }
+
+  const autocomplete = (field.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+  for (const token of autocomplete) {
+    if (PAYMENT_AUTOCOMPLETE_ROLES[token]) {
+      return PAYMENT_AUTOCOMPLETE_ROLES[token];
+    }
+  }
+
+  const hints = getFieldHints(field);
+  if (!hints) return null;
+
+  for (const { role, pattern } of PAYMENT_NAME_PATTERNS) {
+    if (pattern.test(hints)) {
+      return role;
+    }
+  }
+
+  return null;
+}
+
+// Find payment form fields
+function findPaymentFields(context = document) {
+  const fields = {
+    number: null,
+    name: null,
+    expiry: null,
+    expMonth: null,
+    expYear: null,
+    csc: null
+  };
+
+  const candidates = collectFields('input:not([hidden]), select:not([hidden])', context);
+  for (const field of candidates) {
+    const role = getPaymentFieldRole(field);
+    if (role && !fields[role] && isVisible(field)) {
+      fields[role] = field;
+    }
+  }
+
+  // Without a card number field, a lone "name" or "month" field is not a payment form
+  if (!fields.number) {
+    return null;
+  }
+
+  return fields;
+}
+
+function isPaymentField(field) {
+  const role = getPaymentFieldRole(field);
+  if (!role) return false;
+
+  const fields = findPaymentFields(field.closest('form') || document);
+  return !!fields && fields[role] === field;
+}
+
+// Fill a credit card into the payment form around the given field
+function fillCard(card, anchorField = activeField) {
+  const context = anchorField?.closest('form') || document;
+  const fields = findPaymentFields(context);
+
+  if (!fields) {
+    closeDropdown();
+    return false;
+  }
+
+  const month = Number(card.expirationMonth);
+  const year = Number(card.expirationYear);
+
+  if (fields.number && card.cardNumber) {
+    setFieldValue(fields.number, card.cardNumber);
+  }
+
+  if (fields.name && card.cardholderName) {
+    setFieldValue(fields.name, card.cardholderName);
+  }
+
+  if (fields.expiry && month && year) {
+    setFieldValue(fields.expiry, formatExpiry(fields.expiry, month, year));
+  }
+
+  if (fields.expMonth && month) {
+    fillExpiryPart(fields.expMonth, getMonthCandidates(month));
+  }
+
+  if (fields.expYear && year) {
+    fillExpiryPart(fields.expYear, [String(year), String(year).slice(-2)]);
+  }
+
+  if (fields.csc && card.cvv) {
+    setFieldValue(fields.csc, card.cvv);
+  }
+
+  closeDropdown();
+  return true;
+}
+
+// Format a combined expiry value following the field's placeholder (MM/YY, MM / YYYY, MMYY)
+function formatExpiry(field, month, year) {
+  const placeholder = (field.getAttribute('placeholder') || '').toLowerCase();
+  const maxLength = field.maxLength > 0 ? field.maxLength : null;
+  const mm = String(month).padStart(2, '0');
+  const longYear = placeholder.includes('yyyy') || placeholder.includes('jjjj') || placeholder.includes('aaaa') ||
+    (maxLength !== null && maxLength >= 7 && !placeholder);
+  const yy = longYear ? String(year) : String(year).slice(-2);
+
+  const separatorMatch = placeholder.match(/m{2}(\s*[\/\-.]?\s*)[yja]{2}/);
+  let separator = separatorMatch ? separatorMatch[1] : '/';
+  if (maxLength !== null && mm.length + separator.length + yy.length > maxLength) {
+    separator = '';
+  }
+
+  return `${mm}${separator}${yy}`;
+}
+
+function getMonthCandidates(month) {
+  const name = MONTH_NAMES[month - 1] || '';
+  return [String(month).padStart(2, '0'), String(month), name, name.slice(0, 3)];
+}
+
+// Month and year can be either a text input or a <select>
+function fillExpiryPart(field, candidates) {
+  if (field.tagName === 'SELECT') {
+    setSelectValue(field, candidates);
+  } else {
+    setFieldValue(field, candidates[0]);
+  }
+}
+
+// Select the first option whose value or label matches one of the candidates
+function setSelectValue(select, candidates) {
+  const wanted = candidates.filter(Boolean).map(c => String(c).toLowerCase());
+  const options = Array.from(select.options);
+
+  for (const candidate of wanted) {
+    const option = options.find(o =>
+      o.value.trim().toLowerCase() === candidate ||
+      o.textContent.trim().toLowerCase() === candidate
+    );
+    if (option) {
+      select.value = option.value;
+      select.dispatchEvent(new Event('input', { bubbles: true }));
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// Identity field detection
+const IDENTITY_AUTOCOMPLETE_ROLES = {
+  'name': 'fullName',
+  'given-name': 'givenName',
+  'additional-name': 'additionalName',
+  'family-name': 'familyName',
+  'email': 'email',
+  'tel': 'tel',
+  'tel-national': 'telNational',
+  'tel-country-code': 'telCountryCode',
+  'tel-area-code': 'telPart',
+  'tel-local': 'telPart',
+  'tel-local-prefix': 'telPart',
+  'tel-local-suffix': 'telPart',
+  'organization': 'organization',
+  'street-address': 'streetAddress',
+  'address-line1': 'addressLine1',
+  'address-line2': 'addressLine2',
+  'address-level2': 'city',
+  'address-level1': 'state',
+  'postal-code': 'postalCode',
+  'country': 'country',
+  'country-name': 'country'
+};
+
+// Order matters: the first matching pattern wins
+const IDENTITY_NAME_PATTERNS = [
+  { role: 'email', pattern: /e.?mail/ },
+  { role: 'telCountryCode', pattern: /(phone|tel).*country|country.?code|dial.?code/ },
+  { role: 'tel', pattern: /phone|\btel\b|telephone|mobile|\bcell/ },
+  { role: 'givenName', pattern: /first.?name|given.?name|\bfname|fore.?name/ },
+  { role: 'additionalName', pattern: /middle.?name|\bmname/ },
+  { role: 'familyName', pattern: /last.?name|family.?name|sur.?name|\blname/ },
+  { role: 'organization', pattern: /company|organi[sz]ation|business.?name/ },
+  { role: 'addressLine2', pattern: /address.?(line)?.?2|addr.?2|apartment|\bapt\b|suite|\bunit\b/ },
+  { role: 'addressLine1', pattern: /address.?(line)?.?1|addr.?1|street|address/ },
+  { role: 'city', pattern: /city|town|locality|suburb/ },
+  { role: 'state', pattern: /state|province|region|county/ },
+  { role: 'postalCode', pattern: /zip|postal|post.?code/ },
+  { role: 'country', pattern: /country/ },
+  { role: 'fullName', pattern: /full.?name|\bname\b/ }
+];
+
+// Common spellings, so free-text countries in the vault match country <select> options
+const COUNTRY_ALIASES = {
+  US: ['united states', 'united states of america', 'usa', 'u.s.a.', 'u.s.', 'america'],
+  GB: ['united kingdom', 'uk', 'great britain', 'england', 'britain'],
+  DE: ['germany', 'deutschland'],
+  ES: ['spain', 'españa', 'espana'],
+  FR: ['france'],
+  TR: ['turkey', 'türkiye', 'turkiye'],
+  IT: ['italy', 'italia'],
+  NL: ['netherlands', 'the netherlands', 'holland', 'nederland'],
+  BE: ['belgium', 'belgique', 'belgië'],
+  CH: ['switzerland', 'schweiz', 'suisse'],
+  AT: ['austria', 'österreich'],
+  PT: ['portugal'],
+  IE: ['ireland'],
+  SE: ['sweden', 'sverige'],
+  NO: ['norway', 'norge'],
+  DK: ['denmark', 'danmark'],
+  FI: ['finland', 'suomi'],
+  PL: ['poland', 'polska'],
+  CA: ['canada'],
+  MX: ['mexico', 'méxico'],
+  BR: ['brazil', 'brasil'],
+  AR: ['argentina'],
+  AU: ['australia'],
+  NZ: ['new zealand'],
+  JP: ['japan'],
+  CN: ['china'],
+  IN: ['india'],
+  KR: ['south korea', 'korea', 'republic of korea']
+};
+
+// Returns the identity role of a field, or null if it isn't an identity field
+function getIdentityFieldRole(field) {
+  if (!field.matches('input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="number"], select, textarea')) {
+    return null;
+  }
+
+  // Tokens may carry section-*, shipping/billing and home/work prefixes
+  const autocomplete = (field.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+  for (const token of autocomplete) {
+    if (IDENTITY_AUTOCOMPLETE_ROLES[token]) {
+      return IDENTITY_AUTOCOMPLETE_ROLES[token];
+    }
+  }
+  if (autocomplete.includes('username') || autocomplete.some(t => t.startsWith('cc-'))) {
+    return null;
+  }
+
+  if (field.type === 'email') return 'email';
+  if (field.type === 'tel') return 'tel';
+
+  const hints = getFieldHints(field);
+  if (!hints || /user|login|captcha|search|coupon|promo/.test(hints)) return null;
+
+  for (const { role, pattern } of IDENTITY_NAME_PATTERNS) {
+    if (pattern.test(hints)) {
+      return role;
+    }
+  }
+
+  return null;
+}
+
+// Find identity form fields. Split phone numbers are collected in order in telParts.
+function findIdentityFields(context = document) {
+  const fields = { telParts: [] };
+  let count = 0;
+
+  const candidates = collectFields('input:not([hidden]), select:not([hidden]), textarea:not([hidden])', context);
+  for (const field of candidates) {
+    if (getPaymentFieldRole(field) || !isVisible(field)) continue;
+
+    let role = getIdentityFieldRole(field);
+    if (!role) continue;
+
+    // A second "tel" field right after the first means the number is split
+    if (role === 'tel' && fields.tel) {
+      fields.telParts.push(fields.tel, field);
+      delete fields.tel;
+      continue;
+    }
+    if (role === 'tel' && fields.telParts.length > 0) {
+      role = 'telPart';
+    }
+
+    if (role === 'telPart') {
+      fields.telParts.push(field);
+      count++;
+    } else if (!fields[role]) {
+      fields[role] = field;
+      count++;
+    }
+  }
+
+  fields.count = count;
+  return fields;
+}
+
+// Only offer identities where there is more than a lone email or name box
+function isIdentityField(field) {
+  if (!getIdentityFieldRole(field)) return false;
+  return findIdentityFields(field.closest('form') || document).count >= 2;
+}
+
+// Fill an identity into the form around the given field
+function fillIdentity(identity, anchorField = activeField) {
+  const context = anchorField?.closest('form') || document;
+  const fields = findIdentityFields(context);
+  const address = identity.address || {};
+  const [line1, ...rest] = (address.street || '').split(/\r?\n/);
+  const line2 = rest.join(', ');
+
+  const values = {
+    fullName: identity.fullName,
+    givenName: identity.firstName,
+    additionalName: identity.middleName,
+    familyName: identity.lastName,
+    email: identity.email,
+    organization: identity.company,
+    streetAddress: address.street,
+    addressLine1: fields.addressLine2 ? line1 : (address.street || '').replace(/\r?\n/g, ', '),
+    addressLine2: line2,
+    city: address.city,
+    state: address.state,
+    postalCode: address.postalCode
+  };
+
+  let filled = false;
+  for (const [role, value] of Object.entries(values)) {
+    if (fields[role] && value) {
+      fillIdentityField(fields[role], [value]);
+      filled = true;
+    }
+  }
+
+  if (fields.country && address.country) {
+    fillIdentityField(fields.country, getCountryCandidates(address.country));
+    filled = true;
+  }
+
+  if (identity.phone) {
+    filled = fillPhone(fields, identity.phone) || filled;
+  }
+
+  closeDropdown();
+  return filled;
+}
+
+function fillIdentityField(field, candidates) {
+  if (field.tagName === 'SELECT') {
+    setSelectValue(field, candidates);
+  } else {
+    setFieldValue(field, candidates[0]);
+  }
+}
+
+function getCountryCandidates(country) {
+  const normalized = country.trim().toLowerCase();
+  const candidates = [country.trim()];
+
+  for (const [code, aliases] of Object.entries(COUNTRY_ALIASES)) {
+    if (code.toLowerCase() === normalized || aliases.includes(normalized)) {
+      candidates.push(code, ...aliases);
+      break;
+    }
+  }
+
+  return candidates;
+}
+
+// Fill a phone number into a single field or split across country code / area / local parts
+function fillPhone(fields, phone) {
+  const countryMatch = phone.trim().match(/^(?:\+|00)(\d{1,3})[\s\-.(]/);
+  const countryCode = countryMatch ? countryMatch[1] : '';
+  const national = (countryMatch ? phone.trim().slice(countryMatch[0].length) : phone).replace(/\D/g, '');
+
+  if (fields.telCountryCode && countryCode) {
+    fillIdentityField(fields.telCountryCode, [`+${countryCode}`, countryCode]);
+  }
+
+  if (fields.telParts.length > 0) {
+    // Use each part's maxlength, falling back to the common 3-3-4 layout
+    const defaults = [3, 3, 4];
+    let offset = 0;
+    fields.telParts.forEach((part, index) => {
+      const isLast = index === fields.telParts.length - 1;
+      const length = isLast ? national.length - offset : (part.maxLength > 0 ? part.maxLength : defaults[index] || 3);
+      setFieldValue(part, national.slice(offset, offset + length));
+      offset += length;
+    });
+    return true;
+  }
+
+  if (fields.telNational) {
+    setFieldValue(fields.telNational, national);
+    return true;
+  }
+
+  if (fields.tel) {
+    setFieldValue(fields.tel, fields.telCountryCode ? national : phone);
+    return true;
+  }
+
+  return false;
+}
+
 // Create SVG elements safely
 function createSvgIcon(type) {
   const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
@@ -152,23 +1003,55 @@ function createSvgIcon(type) {
     path.setAttribute('stroke', 'currentColor');
     path.setAttribute('stroke-width', '2');
     path.setAttribute('stroke-linecap', 'round');
+  } else if (type === 'eye') {
+    svg.setAttribute('width', '16');
+    svg.setAttribute('height', '16');
+    path.setAttribute('d', 'M1 12s4-7 11-7 11 7 11 7-4 7-11 7S1 12 1 12zm11-3a3 3 0 1 0 0 6 3 3 0 0 0 0-6z');
+    path.setAttribute('stroke', 'currentColor');
+    path.setAttribute('stroke-width', '2');
+    path.setAttribute('stroke-linejoin', 'round');
   }
 
   svg.appendChild(path);
   return svg;
 }
 
+// Pages can call click() on anything they reach, so our panels only act on the user's own clicks
+function onUserClick(element, handler) {
+  element.addEventListener('click', (e) => {
+    if (e.isTrusted) handler(e);
+  });
+}
+
+// Puts a panel in a closed shadow root, out of reach of the page's scripts and styles, and
+// returns the host to add to the page. The panel stays hidden until its styles are in.
+function createShadowHost(className, stylesheet, panel) {
+  const host = document.createElement('div');
+  host.className = className;
+  host.style.setProperty('all', 'initial', 'important');
+  const shadow = host.attachShadow({ mode: 'closed' });
+
+  const styles = document.createElement('link');
+  styles.rel = 'stylesheet';
+  styles.href = chrome.runtime.getURL(stylesheet);
+  panel.style.visibility = 'hidden';
+  styles.addEventListener('load', () => {
+    panel.style.visibility = '';
+  });
+
+  shadow.appendChild(styles);
+  shadow.appendChild(panel);
+  return host;
+}
+
 // Create inline dropdown using DOM methods
-async function showDropdown(targetField) {
+async function showDropdown(targetField, mode = 'login') {
   closeDropdown();
   activeField = targetField;
-
-  const rect = targetField.getBoundingClientRect();
+  dropdownMode = mode;
 
   const dropdown = document.createElement('div');
   dropdown.className = 'dodopass-dropdown';
-  dropdown.style.top = `${rect.bottom + window.scrollY + 4}px`;
-  dropdown.style.left = `${rect.left + window.scrollX}px`;
 
   // Header
   const header = document.createElement('div');
@@ -184,7 +1067,7 @@ async function showDropdown(targetField) {
   const closeBtn = document.createElement('button');
   closeBtn.className = 'dodopass-dropdown-close';
   closeBtn.appendChild(createSvgIcon('close'));
-  closeBtn.addEventListener('click', closeDropdown);
+  onUserClick(closeBtn, closeDropdown);
 
   header.appendChild(logo);
   header.appendChild(closeBtn);
@@ -198,21 +1081,150 @@ async function showDropdown(targetField) {
   footer.className = 'dodopass-dropdown-footer';
   const shortcut = document.createElement('span');
   shortcut.className = 'dodopass-dropdown-shortcut';
-  shortcut.textContent = '↑↓ navigate  ↵ fill';
+  shortcut.textContent = mode === 'login' && findPasswordChangeFields()
+    ? '↑↓ navigate  ↵ change password'
+    : '↑↓ navigate  ↵ fill';
   footer.appendChild(shortcut);
 
+  // Signup forms ask for a login and personal details at the same time
+  if (mode === 'login' && findIdentityFields(targetField.closest('form') || document).count >= 2) {
+    const identityBtn = document.createElement('button');
+    identityBtn.className = 'dodopass-dropdown-mode-btn';
+    identityBtn.textContent = 'Fill identity';
+    onUserClick(identityBtn, () => {
+      dropdownMode = 'identity';
+      identityBtn.remove();
+      loadDropdownItems();
+    });
+    footer.appendChild(identityBtn);
+  }
+
   dropdown.appendChild(header);
   dropdown.appendChild(list);
   dropdown.appendChild(footer);
 
-  document.body.appendChild(dropdown);
+  const host = createShadowHost('dodopass-dropdown-host', 'dropdown.css', dropdown);
+  document.body.appendChild(host);
+  dropdownHost = host;
   currentDropdown = dropdown;
+  trackDropdownAnchor(targetField);
+  watchConnectionState();
+  positionDropdown();
 
   // Load items
   await loadDropdownItems();
 
-  // Keyboard navigation
+  // Keyboard navigation. Keys typed into a frame's field don't reach the top document.
   document.addEventListener('keydown', handleDropdownKeydown);
+  if (targetField.ownerDocument !== document) {
+    targetField.ownerDocument.addEventListener('keydown', handleDropdownKeydown);
+  }
+}
+
+// Dropdown positioning. The page can scroll, resize or re-render under the dropdown,
+// so it follows its field instead of keeping the coordinates it opened with.
+let anchorWindows = [];
+let anchorResizeObserver = null;
+let repositionFrame = null;
+
+function positionDropdown() {
+  repositionFrame = null;
+  if (!currentDropdown || !activeField) return;
+
+  // The field was removed or hidden by a re-render
+  if (!activeField.isConnected || activeField.getClientRects().length === 0) {
+    closeDropdown();
+    return;
+  }
+
+  const rect = getViewportRect(activeField);
+  currentDropdown.style.top = `${rect.bottom + window.scrollY + 4}px`;
+  currentDropdown.style.left = `${rect.left + window.scrollX}px`;
+}
+
+function scheduleDropdownReposition() {
+  if (repositionFrame === null) {
+    repositionFrame = requestAnimationFrame(positionDropdown);
+  }
+}
+
+function trackDropdownAnchor(field) {
+  // Scrolling any frame between the field and the top window moves the field
+  anchorWindows = [];
+  let view = field.ownerDocument.defaultView;
+  while (view) {
+    anchorWindows.push(view);
+    view = view.frameElement?.ownerDocument.defaultView || null;
+  }
+
+  for (const view of anchorWindows) {
+    // Capture so scrolling inside overflow containers is seen too
+    view.addEventListener('scroll', scheduleDropdownReposition, true);
+    view.addEventListener('resize', scheduleDropdownReposition);
+  }
+
+  anchorResizeObserver = new ResizeObserver(scheduleDropdownReposition);
+  anchorResizeObserver.observe(field);
+  anchorResizeObserver.observe(document.documentElement);
+}
+
+function untrackDropdownAnchor() {
+  for (const view of anchorWindows) {
+    view.removeEventListener('scroll', scheduleDropdownReposition, true);
+    view.removeEventListener('resize', scheduleDropdownReposition);
+  }
+  anchorWindows = [];
+
+  if (anchorResizeObserver) {
+    anchorResizeObserver.disconnect();
+    anchorResizeObserver = null;
+  }
+  if (repositionFrame !== null) {
+    cancelAnimationFrame(repositionFrame);
+    repositionFrame = null;
+  }
+}
+
+// Field position relative to the top-level viewport, adding the offsets of any frames it sits in
+function getViewportRect(element) {
+  const rect = element.getBoundingClientRect();
+  let top = rect.top;
+  let left = rect.left;
+
+  let frame = element.ownerDocument.defaultView?.frameElement;
+  while (frame) {
+    const frameRect = frame.getBoundingClientRect();
+    top += frameRect.top + frame.clientTop;
+    left += frameRect.left + frame.clientLeft;
+    frame = frame.ownerDocument.defaultView?.frameElement;
+  }
+
+  return {
+    top,
+    left,
+    bottom: top + rect.height,
+    right: left + rect.width,
+    width: rect.width,
+    height: rect.height
+  };
+}
+
+const DROPDOWN_EMPTY_MESSAGES = {
+  login: 'No passwords saved for this site',
+  card: 'No credit cards saved',
+  identity: 'No identities saved',
+  suggest: 'Could not generate a password'
+};
+
+function getDropdownListRequest() {
+  switch (dropdownMode) {
+    case 'card':
+      return { action: 'listCards' };
+    case 'identity':
+      return { action: 'listIdentities' };
+    default:
+      return { action: 'listForUrl', url: window.location.href };
+  }
 }
 
 async function loadDropdownItems() {
@@ -220,12 +1232,30 @@ async function loadDropdownItems() {
 
   const listEl = currentDropdown.querySelector('.dodopass-dropdown-list');
   listEl.replaceChildren();
+  dropdownOffline = false;
 
   try {
     // Check status first
-    const status = await sendMessage({ action: 'getStatus' });
+    const status = await getVaultStatus();
+
+    if (status.incompatible) {
+      renderDropdownMessage(status.error);
+      return;
+    }
+
+    if (status.success && !appServesMode(dropdownMode)) {
+      closeDropdown();
+      return;
+    }
+
+    if (status.notPaired) {
+      renderDropdownMessage('Open the DodoPass popup to pair this browser');
+      return;
+    }
 
     if (!status.success || status.data?.locked) {
+      // Without the app there is no vault to unlock; come back once it answers
+      dropdownOffline = !status.success;
       const lockedDiv = document.createElement('div');
       lockedDiv.className = 'dodopass-dropdown-locked';
       lockedDiv.appendChild(createSvgIcon('lock'));
@@ -240,24 +1270,81 @@ async function loadDropdownItems() {
       return;
     }
 
-    // Get items for current URL
-    const results = await sendMessage({ action: 'listForUrl', url: window.location.href });
+    // Cards and identities are not tied to a site, logins are matched against the current URL
+    const results = dropdownMode === 'suggest'
+      ? await getSuggestedPasswordItems()
+      : await sendMessage(getDropdownListRequest());
+
+    if (results.success && results.data?.items?.length > 0) {
+      dropdownItems = results.data.items;
+      selectedIndex = 0;
+      renderDropdownItems();
+    } else {
+      renderDropdownMessage(DROPDOWN_EMPTY_MESSAGES[dropdownMode]);
+    }
+  } catch (error) {
+    renderDropdownMessage('Cannot connect to DodoPass');
+    dropdownOffline = true;
+  }
+}
+
+function renderDropdownMessage(message) {
+  if (!currentDropdown) return;
+
+  const listEl = currentDropdown.querySelector('.dodopass-dropdown-list');
+  const messageDiv = document.createElement('div');
+  messageDiv.className = 'dodopass-dropdown-empty';
+  messageDiv.textContent = message;
+  listEl.replaceChildren(messageDiv);
+  dropdownItems = [];
+}
+
+// Follow the connection to the app while the dropdown is open, so it recovers by itself
+function watchConnectionState() {
+  if (connectionStatePort) return;
+
+  let previous = null;
+  connectionStatePort = chrome.runtime.connect({ name: 'connectionState' });
+  connectionStatePort.onMessage.addListener((message) => {
+    if (message.type === 'vaultEvent') {
+      handleVaultEvent(message.event);
+      return;
+    }
+
+    const { state } = message;
+    // The first message only tells us where we start
+    const changed = previous && (previous.status !== state.status || previous.appAvailable !== state.appAvailable);
+    previous = state;
+    if (!changed || !currentDropdown) return;
+
+    if (state.status === 'disconnected') {
+      totpTicker.stop();
+      renderDropdownMessage('Reconnecting to DodoPass…');
+      dropdownOffline = true;
+    } else if (state.status === 'connected' && state.appAvailable && dropdownOffline) {
+      loadDropdownItems();
+    }
+  });
+  connectionStatePort.onDisconnect.addListener(() => {
+    connectionStatePort = null;
+  });
+}
+
+// Pushed by the app while a dropdown is open
+function handleVaultEvent(event) {
+  if (!currentDropdown) return;
+
+  if (event === 'locked') {
+    closeDropdown();
+  } else if (event === 'unlocked' || event === 'itemsChanged') {
+    loadDropdownItems();
+  }
+}
 
-    if (results.success && results.data?.items?.length > 0) {
-      dropdownItems = results.data.items;
-      selectedIndex = 0;
-      renderDropdownItems();
-    } else {
-      const emptyDiv = document.createElement('div');
-      emptyDiv.className = 'dodopass-dropdown-empty';
-      emptyDiv.textContent = 'No passwords saved for this site';
-      listEl.appendChild(emptyDiv);
-    }
-  } catch (error) {
-    const errorDiv = document.createElement('div');
-    errorDiv.className = 'dodopass-dropdown-empty';
-    errorDiv.textContent = 'Cannot connect to DodoPass';
-    listEl.appendChild(errorDiv);
+function unwatchConnectionState() {
+  if (connectionStatePort) {
+    connectionStatePort.disconnect();
+    connectionStatePort = null;
   }
 }
 
@@ -267,12 +1354,6 @@ function renderDropdownItems() {
   const listEl = currentDropdown.querySelector('.dodopass-dropdown-list');
   listEl.replaceChildren();
 
-  // Clear any existing TOTP interval
-  if (totpInterval) {
-    clearInterval(totpInterval);
-    totpInterval = null;
-  }
-
   dropdownItems.forEach((item, index) => {
     const itemEl = document.createElement('div');
     itemEl.className = `dodopass-dropdown-item${index === selectedIndex ? ' selected' : ''}`;
@@ -290,7 +1371,7 @@ function renderDropdownItems() {
 
     const subtitleEl = document.createElement('div');
     subtitleEl.className = 'dodopass-dropdown-item-subtitle';
-    subtitleEl.textContent = item.username || '';
+    subtitleEl.textContent = getDropdownSubtitle(item);
 
     contentEl.appendChild(titleEl);
     contentEl.appendChild(subtitleEl);
@@ -307,20 +1388,27 @@ function renderDropdownItems() {
     itemEl.appendChild(iconEl);
     itemEl.appendChild(contentEl);
 
+    // Live code and countdown. Codes are cached, so re-rendering on hover doesn't refetch.
+    if (item.hasTotp) {
+      const totpDisplay = createTotpDisplay('dodopass-');
+      itemEl.appendChild(totpDisplay);
+      totpTicker.track(item.id, totpDisplay);
+    }
+
     // Add TOTP copy button if item has TOTP
     if (item.hasTotp) {
       const totpBtn = document.createElement('button');
       totpBtn.className = 'dodopass-dropdown-totp-btn';
       totpBtn.title = 'Copy TOTP code';
       totpBtn.textContent = '2FA';
-      totpBtn.addEventListener('click', async (e) => {
+      onUserClick(totpBtn, async (e) => {
         e.stopPropagation();
         await copyTOTP(item.id);
       });
       itemEl.appendChild(totpBtn);
     }
 
-    itemEl.addEventListener('click', () => fillFromItem(item));
+    onUserClick(itemEl, () => fillFromItem(item));
     itemEl.addEventListener('mouseenter', () => {
       selectedIndex = index;
       renderDropdownItems();
@@ -334,11 +1422,17 @@ function renderDropdownItems() {
 async function copyTOTP(itemId) {
   try {
     const response = await sendMessage({ action: 'getTOTP', id: itemId });
-    if (response.success && response.data?.code) {
-      await navigator.clipboard.writeText(response.data.code);
-      showToast(`TOTP copied: ${response.data.code} (${response.data.remaining}s remaining)`);
-    } else {
+    if (!response.success || !response.data?.code) {
       showToast(response.error || 'Failed to get TOTP code');
+      return;
+    }
+
+    // Through the background worker, which clears the code again after the user's delay
+    const copied = await sendMessage({ action: 'copyToClipboard', text: response.data.code });
+    if (copied.success) {
+      showClipboardToast(`TOTP copied: ${response.data.code}`, copied.data.clearAfter);
+    } else {
+      showToast(copied.error || 'Failed to copy TOTP');
     }
   } catch (error) {
     console.error('TOTP copy error:', error);
@@ -347,7 +1441,7 @@ async function copyTOTP(itemId) {
 }
 
 // Show a toast notification
-function showToast(message) {
+function showToast(message, duration = 3000) {
   // Remove any existing toast
   const existingToast = document.querySelector('.dodopass-toast');
   if (existingToast) existingToast.remove();
@@ -362,26 +1456,214 @@ function showToast(message) {
     toast.classList.add('show');
   });
 
-  // Auto remove after 3 seconds
   setTimeout(() => {
     toast.classList.remove('show');
     setTimeout(() => toast.remove(), 300);
-  }, 3000);
+  }, duration);
+
+  return toast;
+}
+
+// A toast that counts down to when the copied secret is cleared from the clipboard
+function showClipboardToast(message, clearAfter) {
+  if (!clearAfter) {
+    showToast(message);
+    return;
+  }
+
+  const clearsAt = Date.now() + clearAfter * 1000;
+  const toast = showToast(message, clearAfter * 1000);
+  const tick = () => {
+    // Replaced by another toast
+    if (!toast.isConnected) return;
+
+    const remaining = Math.ceil((clearsAt - Date.now()) / 1000);
+    if (remaining <= 0) return;
+    toast.textContent = `${message} · Clears in ${remaining}s`;
+    setTimeout(tick, 1000);
+  };
+  tick();
+}
+
+function getDropdownSubtitle(item) {
+  if (dropdownMode === 'card') {
+    const parts = [];
+    if (item.lastFour) parts.push(`•••• ${item.lastFour}`);
+    if (item.expiration) parts.push(item.isExpired ? `Expired ${item.expiration}` : item.expiration);
+    return parts.join(' · ');
+  }
+  if (dropdownMode === 'identity') {
+    return [item.fullName, item.email].filter(Boolean).join(' · ');
+  }
+  if (dropdownMode === 'suggest') {
+    return item.password;
+  }
+  return item.username || '';
 }
 
 async function fillFromItem(item) {
+  if (dropdownMode === 'suggest') {
+    acceptSuggestedPassword(item.password);
+    return;
+  }
+  if (dropdownMode === 'card') {
+    await fillFromCard(item);
+    return;
+  }
+  if (dropdownMode === 'identity') {
+    await fillFromIdentity(item);
+    return;
+  }
+
   try {
-    const creds = await sendMessage({ action: 'getCredentials', id: item.id });
+    const fields = findLoginFields();
+    const creds = await sendMessage({
+      action: 'getCredentials',
+      id: item.id,
+      title: item.title,
+      formAction: getFormActionOrigin(fields.password || fields.username)
+    });
     if (creds.success && creds.data) {
-      fillCredentials(creds.data.username, creds.data.password);
+      // On a password-change form the item's password is the current one
+      if (!await startPasswordChange(item.id, creds.data.password)) {
+        fillCredentials(creds.data.username, creds.data.password, item.id, { submit: creds.submit });
+      }
+    } else if (creds.needsConfirmation) {
+      showFillReview(item, creds.data);
     }
   } catch (error) {
     console.error('Fill error:', error);
   }
 }
 
+// Origin a field's form submits to, or null without a form or for script actions
+function getFormActionOrigin(field) {
+  const form = field?.form || field?.closest('form');
+  if (!form) return null;
+
+  try {
+    // Not form.action: an input named "action" shadows it
+    const action = new URL(form.getAttribute('action') || '', document.baseURI);
+    return /^https?:$/.test(action.protocol) ? action.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// What a fill of each dropdown mode would hand to the page
+const FILLED_DETAILS = {
+  login: 'the password',
+  card: 'the card details',
+  identity: 'your details'
+};
+
+// One sentence per reason the background wants the user to confirm a fill
+function describeFillWarnings(policy, itemTitle) {
+  const frameHost = getHostFromOrigin(policy.frameOrigin);
+  const warnings = [];
+
+  if (policy.embedded) {
+    warnings.push(`This form is embedded from ${frameHost} inside ${getHostFromOrigin(policy.topOrigin)}.`);
+  }
+  if (policy.insecure) {
+    warnings.push(`${frameHost} does not use a secure connection, so others on the network could read ${FILLED_DETAILS[dropdownMode]}.`);
+  }
+  if (policy.crossOriginAction) {
+    warnings.push(`This form sends what you enter to ${getHostFromOrigin(policy.actionOrigin)}.`);
+  }
+  if (!policy.matchesItem) {
+    warnings.push(`${frameHost} is not a saved site for "${itemTitle}".`);
+  }
+
+  return warnings.join(' ');
+}
+
+// The background holds back fills into an embedded form, an insecure page, a form that posts
+// elsewhere or a page the item isn't saved for. Anything shown here can be scripted by the very
+// page in question, so the user confirms in the DodoPass popup, where the fill waits.
+function showFillReview(item, policy) {
+  renderDropdownConfirmation({
+    message: describeFillWarnings(policy, item.title),
+    confirmLabel: 'Review in DodoPass',
+    onConfirm: openFillReview
+  });
+}
+
+async function openFillReview() {
+  closeDropdown();
+  const result = await sendMessage({ action: 'openFillReview' }).catch(() => null);
+  if (!result?.success) {
+    showToast('Click the DodoPass button in the toolbar to review this fill', 5000);
+  }
+}
+
+// Replace the dropdown list with a warning and confirm/cancel buttons
+function renderDropdownConfirmation({ message, confirmLabel, onConfirm }) {
+  if (!currentDropdown) return;
+
+  const listEl = currentDropdown.querySelector('.dodopass-dropdown-list');
+  listEl.replaceChildren();
+  dropdownItems = [];
+
+  const panel = document.createElement('div');
+  panel.className = 'dodopass-dropdown-confirm';
+
+  const text = document.createElement('p');
+  text.textContent = message;
+
+  const actions = document.createElement('div');
+  actions.className = 'dodopass-dropdown-confirm-actions';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'dodopass-dropdown-btn secondary';
+  cancelBtn.textContent = 'Cancel';
+  onUserClick(cancelBtn, closeDropdown);
+
+  const confirmBtn = document.createElement('button');
+  confirmBtn.className = 'dodopass-dropdown-btn primary';
+  confirmBtn.textContent = confirmLabel;
+  onUserClick(confirmBtn, onConfirm);
+
+  actions.appendChild(cancelBtn);
+  actions.appendChild(confirmBtn);
+  panel.appendChild(text);
+  panel.appendChild(actions);
+  listEl.appendChild(panel);
+}
+
+async function fillFromCard(item) {
+  try {
+    const card = await sendMessage({ action: 'getCard', id: item.id, title: item.title });
+    if (card.success && card.data) {
+      fillCard(card.data);
+    } else if (card.needsConfirmation) {
+      showFillReview(item, card.data);
+    } else {
+      showToast(card.error || 'Failed to get card details');
+    }
+  } catch (error) {
+    console.error('Card fill error:', error);
+  }
+}
+
+async function fillFromIdentity(item) {
+  try {
+    const identity = await sendMessage({ action: 'getIdentity', id: item.id, title: item.title });
+    if (identity.success && identity.data) {
+      fillIdentity(identity.data);
+    } else if (identity.needsConfirmation) {
+      showFillReview(item, identity.data);
+    } else {
+      showToast(identity.error || 'Failed to get identity');
+    }
+  } catch (error) {
+    console.error('Identity fill error:', error);
+  }
+}
+
 function handleDropdownKeydown(e) {
-  if (!currentDropdown || dropdownItems.length === 0) return;
+  // Pages can dispatch key events too
+  if (!e.isTrusted || !currentDropdown || dropdownItems.length === 0) return;
 
   switch (e.key) {
     case 'ArrowDown':
@@ -407,27 +1689,42 @@ function handleDropdownKeydown(e) {
 }
 
 function closeDropdown() {
-  if (currentDropdown) {
-    currentDropdown.remove();
+  if (dropdownHost) {
+    dropdownHost.remove();
+    dropdownHost = null;
     currentDropdown = null;
   }
   dropdownItems = [];
   selectedIndex = 0;
+  if (activeField && activeField.ownerDocument !== document) {
+    activeField.ownerDocument.removeEventListener('keydown', handleDropdownKeydown);
+  }
+  untrackDropdownAnchor();
+  unwatchConnectionState();
+  totpTicker.stop();
   activeField = null;
+  dropdownMode = 'login';
   document.removeEventListener('keydown', handleDropdownKeydown);
 }
 
 // Password save detection
-function detectFormSubmit() {
-  document.addEventListener('submit', handleFormSubmit, true);
+const SAVE_BANNER_TIMEOUT = 10000;
+const SAVE_BANNER_MAX_TAGS = 8; // Existing tags offered as chips; others can be typed
 
-  // Also detect click on submit buttons (for AJAX forms)
-  document.addEventListener('click', (e) => {
-    const button = e.target.closest('button[type="submit"], input[type="submit"], button:not([type])');
-    if (button) {
+function detectFormSubmit(doc = document) {
+  doc.addEventListener('submit', handleFormSubmit, true);
+
+  // Also detect click on submit buttons (for AJAX forms).
+  // Clicks are composed, so this also sees buttons inside shadow roots.
+  doc.addEventListener('click', (e) => {
+    const button = getEventTarget(e).closest?.('button[type="submit"], input[type="submit"], button:not([type])');
+    if (button && !isOwnElement(button)) {
       const form = button.closest('form');
       if (form) {
         setTimeout(() => checkForCredentialsToSave(form), 100);
+      } else {
+        // Identifier-first pages often use a plain "Next" button outside any form
+        rememberUsernameStep();
       }
     }
   }, true);
@@ -439,64 +1736,72 @@ function handleFormSubmit(e) {
 }
 
 function checkForCredentialsToSave(form) {
+  if (passwordChange && collectFields('input[type="password"]', form).some(f => f.value === passwordChange.newPassword)) {
+    completePasswordChange();
+    return;
+  }
+
+  if (!pageSettings.savePrompts) return;
+
   const formType = detectFormType(form);
 
-  if (formType.type === 'none') return;
+  if (formType.type === 'none') {
+    rememberUsernameStep();
+    return;
+  }
 
   // Handle password change form
-  if (formType.type === 'password_change') {
+  if (formType.type === 'password_change' || findPasswordChangeFields(form)) {
     handlePasswordChangeForm(form, formType.fields);
     return;
   }
 
-  // For login or registration forms, get the password
-  const passwordField = formType.fields[formType.fields.length - 1]; // Last password field (in case of registration, this is confirm)
-  const mainPasswordField = formType.fields[0]; // First password field
+  // For login or registration forms, get the password. A suggested password we filled is the one to save.
+  const mainPasswordField = formType.fields.find(f => suggestedPassword && f.value === suggestedPassword) ||
+    formType.fields[0];
 
   if (!mainPasswordField || !mainPasswordField.value) return;
 
   // Find username field
-  let usernameField = null;
-  const usernameSelectors = [
-    'input[type="email"]',
-    'input[type="text"][name*="user" i]',
-    'input[type="text"][name*="email" i]',
-    'input[autocomplete="username"]'
-  ];
-
-  for (const selector of usernameSelectors) {
-    usernameField = form.querySelector(selector);
-    if (usernameField && usernameField.value) break;
-  }
-
-  if (!usernameField) {
-    const textInputs = form.querySelectorAll('input[type="text"], input[type="email"]');
-    for (const input of textInputs) {
-      if (input.value && input !== mainPasswordField) {
-        usernameField = input;
-        break;
-      }
-    }
-  }
+  const candidates = collectFields(USERNAME_INPUT_SELECTOR, form).filter(f => f.value);
+  const usernameField = findBestUsernameField(candidates, { passwordField: mainPasswordField })?.field;
 
-  const username = usernameField?.value || '';
   const password = mainPasswordField.value;
 
   if (password) {
-    checkAndShowSaveBanner(username, password);
+    checkAndShowSaveBanner(usernameField?.value || '', password);
+  }
+}
+
+// Remember what was typed on a username-only step, for the save banner on the password step
+function rememberUsernameStep() {
+  const field = findUsernameStepField();
+  if (field && field.value) {
+    sendMessage({ action: 'setLoginFlow', username: field.value.trim() }).catch(() => {});
   }
 }
 
 // Handle password change form (current + new + confirm)
-function handlePasswordChangeForm(form, passwordFields) {
+async function handlePasswordChangeForm(form, passwordFields) {
   if (passwordFields.length < 2) return;
 
   // Usually: [0] = current password, [1] = new password, [2] = confirm (optional)
-  const currentPassword = passwordFields[0]?.value;
-  const newPassword = passwordFields[1]?.value;
+  const { newField } = findPasswordChangeFields(form) || {};
+  const newPassword = (newField || passwordFields[1])?.value;
 
   if (!newPassword) return;
 
+  // The login last filled here, or the site's only one
+  try {
+    const match = await sendMessage({ action: 'findItemForPasswordChange' });
+    if (match?.success && match.data) {
+      showUpdateBanner(match.data.username, newPassword, match.data.id, match.data.title);
+      return;
+    }
+  } catch (error) {
+    console.error('Item lookup error:', error);
+  }
+
   // Try to find username from the page (not in form, but maybe in profile/header)
   const username = findUsernameOnPage();
 
@@ -530,9 +1835,16 @@ function findUsernameOnPage() {
 
 async function checkAndShowSaveBanner(username, password) {
   try {
-    const status = await sendMessage({ action: 'getStatus' });
+    const status = await getVaultStatus();
     if (!status.success || status.data?.locked) return;
 
+    // The username may have been typed on the previous step of a multi-step login
+    if (!username) {
+      const flow = await sendMessage({ action: 'getLoginFlow' });
+      username = flow?.data?.username || '';
+    }
+    sendMessage({ action: 'clearLoginFlow' }).catch(() => {});
+
     // Use checkExisting to see if we need to update or save new
     const checkResult = await sendMessage({
       action: 'checkExisting',
@@ -554,7 +1866,7 @@ async function checkAndShowSaveBanner(username, password) {
 
 async function checkAndShowUpdateBanner(username, newPassword) {
   try {
-    const status = await sendMessage({ action: 'getStatus' });
+    const status = await getVaultStatus();
     if (!status.success || status.data?.locked) return;
 
     const checkResult = await sendMessage({
@@ -580,11 +1892,17 @@ async function showSaveBanner(username, password) {
   // Check password strength and breach status in background
   let strengthInfo = null;
   let breachInfo = null;
+  let tagInfo = null;
 
   try {
-    [strengthInfo, breachInfo] = await Promise.all([
-      sendMessage({ action: 'getPasswordStrength', password }),
-      sendMessage({ action: 'checkBreach', password })
+    // A password we just generated is strong and can't have been breached
+    const checks = password !== suggestedPassword ? [
+      appFeatures?.passwordStrength ? sendMessage({ action: 'getPasswordStrength', password }) : null,
+      pageSettings.breachCheck && appFeatures?.breachCheck ? sendMessage({ action: 'checkBreach', password }) : null
+    ] : [];
+    [tagInfo, strengthInfo, breachInfo] = await Promise.all([
+      appFeatures?.tags ? sendMessage({ action: 'listTags' }).catch(() => null) : null,
+      ...checks
     ]);
   } catch (e) {
     console.error('Password check error:', e);
@@ -604,7 +1922,7 @@ async function showSaveBanner(username, password) {
   const closeBtn = document.createElement('button');
   closeBtn.className = 'dodopass-save-banner-close';
   closeBtn.appendChild(createSvgIcon('close'));
-  closeBtn.addEventListener('click', closeSaveBanner);
+  onUserClick(closeBtn, closeSaveBanner);
   header.appendChild(closeBtn);
 
   // Content
@@ -621,20 +1939,55 @@ async function showSaveBanner(username, password) {
   value1.textContent = hostname;
   field1.appendChild(label1);
   field1.appendChild(value1);
+  content.appendChild(field1);
 
-  const field2 = document.createElement('div');
-  field2.className = 'dodopass-save-banner-field';
-  const label2 = document.createElement('span');
-  label2.className = 'dodopass-save-banner-label';
-  label2.textContent = 'Username';
-  const value2 = document.createElement('span');
-  value2.className = 'dodopass-save-banner-value';
-  value2.textContent = username || '(none)';
-  field2.appendChild(label2);
-  field2.appendChild(value2);
+  const titleInput = createSaveBannerInput(content, 'Title', title);
+  const usernameInput = createSaveBannerInput(content, 'Username', username);
+  usernameInput.placeholder = '(none)';
+  const passwordInput = createSaveBannerInput(content, 'Password', password, 'password');
+
+  const revealBtn = document.createElement('button');
+  revealBtn.className = 'dodopass-save-banner-reveal';
+  revealBtn.title = 'Show password';
+  revealBtn.appendChild(createSvgIcon('eye'));
+  onUserClick(revealBtn, () => {
+    const revealed = passwordInput.type === 'password';
+    passwordInput.type = revealed ? 'text' : 'password';
+    revealBtn.title = revealed ? 'Hide password' : 'Show password';
+    revealBtn.classList.toggle('active', revealed);
+  });
+  passwordInput.parentElement.appendChild(revealBtn);
 
-  content.appendChild(field1);
-  content.appendChild(field2);
+  // Tags already in the vault can be picked, new ones typed, if the app keeps tags
+  const tagsInput = appFeatures?.tags ? createSaveBannerInput(content, 'Tags', '') : null;
+  if (tagsInput) {
+    tagsInput.placeholder = 'Separate with commas';
+  }
+  const pickedTags = new Set();
+  const existingTags = tagInfo?.success ? (tagInfo.data?.tags || []) : [];
+  if (existingTags.length > 0) {
+    const tagList = document.createElement('div');
+    tagList.className = 'dodopass-save-banner-tags';
+    for (const tag of existingTags.slice(0, SAVE_BANNER_MAX_TAGS)) {
+      const chip = document.createElement('button');
+      chip.className = 'dodopass-save-banner-tag';
+      chip.textContent = tag;
+      onUserClick(chip, () => {
+        if (!pickedTags.delete(tag)) pickedTags.add(tag);
+        chip.classList.toggle('selected', pickedTags.has(tag));
+      });
+      tagList.appendChild(chip);
+    }
+    content.appendChild(tagList);
+  }
+
+  const favoriteLabel = document.createElement('label');
+  favoriteLabel.className = 'dodopass-save-banner-check';
+  const favoriteInput = document.createElement('input');
+  favoriteInput.type = 'checkbox';
+  favoriteLabel.appendChild(favoriteInput);
+  favoriteLabel.appendChild(document.createTextNode(' Add to favorites'));
+  content.appendChild(favoriteLabel);
 
   // Show breach/strength warning if applicable
   if (breachInfo?.success && breachInfo.data?.isBreached) {
@@ -676,41 +2029,127 @@ async function showSaveBanner(username, password) {
   const dismissBtn = document.createElement('button');
   dismissBtn.className = 'dodopass-save-banner-btn secondary';
   dismissBtn.textContent = 'Not now';
-  dismissBtn.addEventListener('click', closeSaveBanner);
+  onUserClick(dismissBtn, closeSaveBanner);
 
   const saveBtn = document.createElement('button');
   saveBtn.className = 'dodopass-save-banner-btn primary';
   saveBtn.textContent = 'Save password';
-  saveBtn.addEventListener('click', async () => {
+
+  const save = async () => {
+    if (!passwordInput.value) {
+      passwordInput.focus();
+      return;
+    }
+
+    const typedTags = (tagsInput?.value || '').split(',').map(tag => tag.trim()).filter(Boolean);
     try {
-      await sendMessage({
+      const result = await sendMessage({
         action: 'saveCredentials',
         url: window.location.href,
-        username: username,
-        password: password,
-        title: title
+        username: usernameInput.value.trim(),
+        password: passwordInput.value,
+        title: titleInput.value.trim() || hostname,
+        tags: [...new Set([...pickedTags, ...typedTags])],
+        favorite: favoriteInput.checked
       });
+      if (result.success) {
+        showToast('Password saved');
+      } else {
+        showToast(result.error || 'Failed to save password');
+      }
       closeSaveBanner();
     } catch (error) {
       console.error('Save error:', error);
+      showToast('Failed to save password');
     }
-  });
+  };
+  onUserClick(saveBtn, save);
 
   actions.appendChild(dismissBtn);
   actions.appendChild(saveBtn);
 
+  const neverBtn = document.createElement('button');
+  neverBtn.className = 'dodopass-save-banner-never';
+  neverBtn.textContent = 'Never for this site';
+  onUserClick(neverBtn, async () => {
+    closeSaveBanner();
+    try {
+      const result = await sendMessage({ action: 'neverSaveForSite' });
+      if (result.success) {
+        showToast(`DodoPass won't offer to save passwords on ${hostname}`);
+      } else {
+        showToast(result.error || 'Failed to save the setting for this site');
+      }
+    } catch (error) {
+      console.error('Save exclusion error:', error);
+      showToast('Failed to save the setting for this site');
+    }
+  });
+
+  // Keys typed here are the user's, not the page's shortcuts
+  banner.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (!e.isTrusted) return;
+    if (e.key === 'Escape') {
+      closeSaveBanner();
+    } else if (e.key === 'Enter' && e.target.tagName === 'INPUT' && e.target.type !== 'checkbox') {
+      e.preventDefault();
+      save();
+    }
+  });
+
   banner.appendChild(header);
   banner.appendChild(content);
   banner.appendChild(actions);
+  banner.appendChild(neverBtn);
+
+  showSaveBannerPanel(banner);
+}
+
+// A labelled input row in the save banner
+function createSaveBannerInput(content, labelText, value, type = 'text') {
+  const field = document.createElement('label');
+  field.className = 'dodopass-save-banner-field';
+  const label = document.createElement('span');
+  label.className = 'dodopass-save-banner-label';
+  label.textContent = labelText;
+  const input = document.createElement('input');
+  input.className = 'dodopass-save-banner-input';
+  input.type = type;
+  input.value = value;
+  input.autocomplete = 'off';
+  input.spellcheck = false;
+  field.appendChild(label);
+  field.appendChild(input);
+  content.appendChild(field);
+  return input;
+}
+
+// Dismiss after a while, but never while the user is working in the banner
+function scheduleSaveBannerDismiss(banner) {
+  const schedule = () => {
+    clearTimeout(saveBannerTimer);
+    saveBannerTimer = setTimeout(closeSaveBanner, SAVE_BANNER_TIMEOUT);
+  };
 
-  document.body.appendChild(banner);
-  saveBanner = banner;
+  banner.addEventListener('focusin', () => clearTimeout(saveBannerTimer));
+  banner.addEventListener('focusout', (e) => {
+    if (!banner.contains(e.relatedTarget)) schedule();
+  });
+  schedule();
+}
 
-  // Auto-dismiss after 10 seconds
-  setTimeout(closeSaveBanner, 10000);
+// Banners live in a closed shadow root: the page can't read the vault's tags in them, nor
+// click Save or Update with values it changed
+function showSaveBannerPanel(banner) {
+  saveBanner = createShadowHost('dodopass-save-banner-host', 'banner.css', banner);
+  document.body.appendChild(saveBanner);
+  scheduleSaveBannerDismiss(banner);
 }
 
 function closeSaveBanner() {
+  clearTimeout(saveBannerTimer);
+  saveBannerTimer = null;
   if (saveBanner) {
     saveBanner.remove();
     saveBanner = null;
@@ -735,7 +2174,7 @@ function showUpdateBanner(username, password, itemId, itemTitle) {
   const closeBtn = document.createElement('button');
   closeBtn.className = 'dodopass-save-banner-close';
   closeBtn.appendChild(createSvgIcon('close'));
-  closeBtn.addEventListener('click', closeSaveBanner);
+  onUserClick(closeBtn, closeSaveBanner);
   header.appendChild(closeBtn);
 
   // Content
@@ -774,12 +2213,12 @@ function showUpdateBanner(username, password, itemId, itemTitle) {
   const dismissBtn = document.createElement('button');
   dismissBtn.className = 'dodopass-save-banner-btn secondary';
   dismissBtn.textContent = 'Not now';
-  dismissBtn.addEventListener('click', closeSaveBanner);
+  onUserClick(dismissBtn, closeSaveBanner);
 
   const updateBtn = document.createElement('button');
   updateBtn.className = 'dodopass-save-banner-btn primary';
   updateBtn.textContent = 'Update password';
-  updateBtn.addEventListener('click', async () => {
+  onUserClick(updateBtn, async () => {
     try {
       const result = await sendMessage({
         action: 'updateCredentials',
@@ -805,48 +2244,266 @@ function showUpdateBanner(username, password, itemId, itemTitle) {
   banner.appendChild(content);
   banner.appendChild(actions);
 
-  document.body.appendChild(banner);
-  saveBanner = banner;
+  banner.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.isTrusted && e.key === 'Escape') closeSaveBanner();
+  });
 
-  // Auto-dismiss after 10 seconds
-  setTimeout(closeSaveBanner, 10000);
+  showSaveBannerPanel(banner);
 }
 
 // Field focus handling
-function setupFieldListeners() {
-  document.addEventListener('focusin', (e) => {
-    const target = e.target;
-    if (target.matches('input[type="password"], input[type="text"], input[type="email"]')) {
+function setupFieldListeners(doc = document) {
+  doc.addEventListener('focusin', (e) => {
+    // Focus inside a shadow root is reported on the host
+    const target = getEventTarget(e);
+    if (!target.matches?.('input, select') || isOwnElement(target)) return;
+
+    let mode = null;
+    if (target.matches('input[type="password"]') && isNewPasswordField(target)) {
+      // Filling the fields moves focus between them; only offer on an empty field
+      mode = target.value ? null : 'suggest';
+    } else if (isPaymentField(target)) {
+      mode = 'card';
+    } else if (target.matches('input[type="password"], input[type="text"], input[type="email"]')) {
       const fields = findLoginFields();
       if (target === fields.username || target === fields.password) {
-        // Small delay to not interfere with normal typing
-        setTimeout(() => {
-          if (document.activeElement === target && !currentDropdown) {
-            showDropdown(target);
-          }
-        }, 300);
+        mode = 'login';
       }
     }
+    if (!mode && isIdentityField(target)) {
+      mode = 'identity';
+    }
+
+    // Password step of a multi-step login: fill the account chosen on the username step
+    if (mode === 'login' && target.type === 'password') {
+      resumeLoginFlow().then((filled) => {
+        if (!filled) showDropdownAfterDelay(target, mode);
+      });
+      return;
+    }
+
+    if (mode && appServesMode(mode)) {
+      showDropdownAfterDelay(target, mode);
+    }
   });
 
-  document.addEventListener('focusout', (e) => {
+  doc.addEventListener('focusout', (e) => {
     // Close dropdown when clicking outside
     setTimeout(() => {
-      if (currentDropdown && !currentDropdown.contains(document.activeElement)) {
+      // Focus inside the dropdown's shadow root is reported on its host
+      if (dropdownHost && document.activeElement !== dropdownHost && getDeepActiveElement() !== activeField) {
         closeDropdown();
       }
     }, 150);
   });
 
   // Close on click outside
-  document.addEventListener('click', (e) => {
-    if (currentDropdown && !currentDropdown.contains(e.target) && e.target !== activeField) {
+  doc.addEventListener('click', (e) => {
+    const target = getEventTarget(e);
+    if (dropdownHost && target !== dropdownHost && target !== activeField) {
       closeDropdown();
     }
   });
 }
 
+// Events inside same-origin frames don't bubble to the top document, so each frame gets its own listeners
+const listenedDocuments = new WeakSet();
+
+function listenToDocument(doc) {
+  if (listenedDocuments.has(doc)) return;
+  listenedDocuments.add(doc);
+  setupFieldListeners(doc);
+  detectFormSubmit(doc);
+}
+
+function listenToSameOriginFrames() {
+  for (const frame of collectFields('iframe, frame')) {
+    const frameDocument = getFrameDocument(frame);
+    if (frameDocument) {
+      listenToDocument(frameDocument);
+      observeRoot(frameDocument);
+    }
+
+    // A frame navigating gets a fresh document
+    if (!listenedDocuments.has(frame)) {
+      listenedDocuments.add(frame);
+      frame.addEventListener('load', listenToSameOriginFrames);
+    }
+  }
+}
+
+// Form tracking. Single-page apps render their forms after load and re-render them
+// at will, so watch the DOM and re-classify fields whenever it changes.
+const FORM_SCAN_DELAY = 250;
+const FORM_SCAN_MAX_WAIT = 1000; // Pages that never stop changing still get scanned this often
+const VISIBILITY_ATTRIBUTES = ['style', 'class'];
+// Everything a scan looks up in the page, so one walk serves the whole scan
+const SCANNED_ELEMENTS_SELECTOR = 'input, textarea, select, iframe, frame';
+const observedRoots = new WeakSet();
+let formScanTimer = null;
+let formScanDeadline = null;
+let scannedElements = null;
+
+const formObserver = new MutationObserver((mutations) => {
+  let changed = false;
+  let formsMayHaveChanged = false;
+
+  for (const mutation of mutations) {
+    // Ignore our own dropdown and banners, including adding them to the page
+    const changedNodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    if (isOwnElement(mutation.target) || (changedNodes.length > 0 && changedNodes.every(isOwnElement))) continue;
+    changed = true;
+
+    if (mutation.type === 'attributes') {
+      // Pages animate with classes and styles all the time; only changes on or around
+      // form controls can show or hide a form
+      if (!VISIBILITY_ATTRIBUTES.includes(mutation.attributeName) || isFormRelevant(mutation.target)) {
+        formsMayHaveChanged = true;
+      }
+      continue;
+    }
+
+    formsMayHaveChanged = true;
+    for (const node of mutation.addedNodes) {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        observeShadowRoots(node);
+      }
+    }
+  }
+
+  if (changed && currentDropdown) {
+    scheduleDropdownReposition();
+  }
+  if (formsMayHaveChanged) {
+    scheduleFormScan();
+  }
+});
+
+function isFormRelevant(element) {
+  return element.matches('form, input, select, textarea') || !!element.querySelector('input, select, textarea');
+}
+
+function isOwnElement(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return !!element?.closest('.dodopass-dropdown-host, .dodopass-save-banner-host, .dodopass-toast');
+}
+
+// Mutations inside a shadow root aren't reported to observers of the document
+function observeRoot(root) {
+  if (observedRoots.has(root)) return;
+  observedRoots.add(root);
+
+  formObserver.observe(root, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['type', 'name', 'id', 'autocomplete', 'hidden', 'style', 'class']
+  });
+}
+
+function observeShadowRoots(element) {
+  if (element.shadowRoot) {
+    observeRoot(element.shadowRoot);
+  }
+  for (const host of collectFields('*', element)) {
+    if (host.shadowRoot) {
+      observeRoot(host.shadowRoot);
+    }
+  }
+}
+
+// Wait for the page to settle, but never longer than FORM_SCAN_MAX_WAIT after the first change
+function scheduleFormScan() {
+  const now = Date.now();
+  if (formScanDeadline === null) {
+    formScanDeadline = now + FORM_SCAN_MAX_WAIT;
+  }
+
+  clearTimeout(formScanTimer);
+  formScanTimer = setTimeout(scanForms, Math.min(FORM_SCAN_DELAY, formScanDeadline - now));
+}
+
+function scanForms() {
+  clearTimeout(formScanTimer);
+  formScanTimer = null;
+  formScanDeadline = null;
+
+  scannedElements = collectFields(SCANNED_ELEMENTS_SELECTOR);
+  try {
+    // New frames need their own listeners
+    listenToSameOriginFrames();
+
+    const fields = findLoginFields();
+    const passwordAppeared = fields.password && fields.password !== trackedLoginFields.password;
+    trackedLoginFields = fields;
+
+    if (passwordAppeared) {
+      resumeLoginFlow().then((filled) => {
+        if (!filled) requestFillOnPageLoad(fields);
+      });
+    }
+
+    fillPendingOneTimeCode();
+  } finally {
+    scannedElements = null;
+  }
+}
+
+// Once per page, on the first login form of a top-level HTTPS page; the worker decides the rest
+let pageLoadFillRequested = false;
+
+function requestFillOnPageLoad(fields) {
+  if (pageLoadFillRequested || window !== window.top || location.protocol !== 'https:') return;
+  if (fields.password.value || fields.username?.value) return;
+
+  pageLoadFillRequested = true;
+  sendMessage({ action: 'fillOnPageLoad' }).catch(() => {});
+}
+
+function showDropdownAfterDelay(target, mode) {
+  if (!pageSettings.inlineMenu) return;
+
+  // Small delay to not interfere with normal typing
+  setTimeout(() => {
+    if (getDeepActiveElement() === target && !currentDropdown) {
+      showDropdown(target, mode);
+    }
+  }, 300);
+}
+
+// Settings
+// What applies in this frame, from the worker, which knows the frame's site. Kept current as the
+// user changes them; until the first answer, the defaults apply.
+let pageSettings = effectiveSettings(DEFAULT_SETTINGS, DEFAULT_SITE_SETTINGS);
+
+async function loadPageSettings() {
+  try {
+    const result = await sendMessage({ action: 'getPageSettings' });
+    if (result?.success) {
+      pageSettings = result.data;
+    }
+  } catch (error) {
+    console.error('Settings error:', error);
+  }
+}
+
 // Message sending
+// The vault status, noting on the way what the app serves
+async function getVaultStatus() {
+  const status = await sendMessage({ action: 'getStatus' });
+  if (status?.success) {
+    appFeatures = status.data?.features || null;
+  }
+  return status;
+}
+
+// Cards and identities are only offered by apps that serve them; before the first status, they are
+function appServesMode(mode) {
+  const feature = { card: 'cards', identity: 'identities' }[mode];
+  return !feature || !appFeatures || !!appFeatures[feature];
+}
+
 function sendMessage(message) {
   return new Promise((resolve, reject) => {
     chrome.runtime.sendMessage(message, (response) => {
@@ -864,22 +2521,51 @@ function getInitial(title) {
   return (title || '?')[0].toUpperCase();
 }
 
+function getHostFromOrigin(origin) {
+  try {
+    return new URL(origin).host;
+  } catch (error) {
+    return 'an unknown site';
+  }
+}
+
 // Listen for messages from background script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (handledByParentFrame) return false;
+
   switch (request.action) {
     case 'fillCredentials':
-      const success = fillCredentials(request.username, request.password);
+      if (request.itemId && findPasswordChangeFields()) {
+        startPasswordChange(request.itemId, request.password).then(started => sendResponse({ success: started }));
+        break;
+      }
+      const success = fillCredentials(request.username, request.password, request.itemId, { submit: request.submit });
       sendResponse({ success });
       break;
     case 'fillPassword':
       const pwSuccess = fillPassword(request.password);
       sendResponse({ success: pwSuccess });
       break;
+    case 'fillIdentity':
+      const identitySuccess = fillIdentity(request.identity, getDeepActiveElement());
+      sendResponse({ success: identitySuccess });
+      break;
+    case 'getPasswordConstraints':
+      sendResponse(getPasswordConstraints(getPasswordTargetField()));
+      break;
+    case 'fillCard':
+      const cardSuccess = fillCard(request.card, getDeepActiveElement());
+      sendResponse({ success: cardSuccess });
+      break;
     case 'getFields':
       const fields = findLoginFields();
+      const focused = getDeepActiveElement();
       sendResponse({
         hasUsername: !!fields.username,
-        hasPassword: !!fields.password
+        hasPassword: !!fields.password,
+        hasIdentity: findIdentityFields().count >= 2,
+        hasFocus: document.hasFocus() && (focused === fields.username || focused === fields.password),
+        formAction: getFormActionOrigin(fields.password || fields.username)
       });
       break;
   }
@@ -888,18 +2574,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 // Initialize
 function init() {
-  setupFieldListeners();
-  detectFormSubmit();
+  loadPageSettings();
+  onSettingsChanged(loadPageSettings);
 
-  // Check if there's a login form
-  const fields = findLoginFields();
-  if (fields.password) {
-    console.log('DodoPass: Login form detected');
-  }
+  listenToDocument(document);
+  observeRoot(document);
+  observeShadowRoots(document.documentElement);
+
+  // Check if there's a login form, then keep checking as the page changes
+  scanForms();
 }
 
 // Run when DOM is ready
-if (document.readyState === 'loading') {
+if (handledByParentFrame) {
+  // Nothing to do: the parent frame's content script covers this document
+} else if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
 } else {
   init();
@@ -0,0 +1,354 @@
+// DodoPass Browser Extension - Password Generator
+// Shared by the background worker and the popup. Randomness comes from crypto.getRandomValues
+// with rejection sampling, so every character and word is equally likely.
+
+const GENERATOR_CHARSETS = {
+  upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  lower: 'abcdefghijklmnopqrstuvwxyz',
+  digit: '0123456789',
+  special: '!@#$%^&*()_+-=[]{}|;:,.<>?'
+};
+
+// The special characters Apple's passwordrules syntax means by "special"
+const PASSWORD_RULES_SPECIAL = '-~!@#$%^&*_+=`|(){}[:;"\'<>,.?]';
+
+// Same look-alikes the app excludes, plus the pipe
+const LOOK_ALIKE_CHARACTERS = '0O1lI|';
+
+const DEFAULT_GENERATOR_OPTIONS = {
+  mode: 'password', // 'password' | 'passphrase'
+  length: 20,
+  upper: true,
+  lower: true,
+  digit: true,
+  special: true,
+  excludeLookAlikes: false,
+  wordCount: 5,
+  separator: '-',
+  capitalize: true
+};
+
+const GENERATOR_MIN_LENGTH = 4;
+const GENERATOR_MAX_LENGTH = 128;
+const GENERATOR_MAX_ATTEMPTS = 200;
+
+// Uniform integer in [0, max). Values past the last whole multiple of max are
+// drawn again, since taking them modulo max would favour the low numbers.
+function randomInt(max) {
+  const range = 0x100000000;
+  const limit = range - (range % max);
+  const buffer = new Uint32Array(1);
+
+  do {
+    crypto.getRandomValues(buffer);
+  } while (buffer[0] >= limit);
+
+  return buffer[0] % max;
+}
+
+function randomChoice(characters) {
+  return characters[randomInt(characters.length)];
+}
+
+// Fisher-Yates
+function shuffle(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+function uniqueCharacters(text) {
+  return Array.from(new Set(Array.from(text))).join('');
+}
+
+// Apple's passwordrules syntax, e.g. "minlength: 12; required: lower; required: upper, digit; allowed: [-_]"
+function parsePasswordRules(rules) {
+  const parsed = { required: [], allowed: '', minLength: null, maxLength: null, maxConsecutive: null };
+  if (!rules) return parsed;
+
+  for (const rule of rules.split(';')) {
+    const separator = rule.indexOf(':');
+    if (separator === -1) continue;
+
+    const name = rule.slice(0, separator).trim().toLowerCase();
+    const value = rule.slice(separator + 1).trim();
+    const number = parseInt(value, 10);
+
+    switch (name) {
+      case 'required': {
+        const characters = parseRuleCharacterClasses(value);
+        if (characters) parsed.required.push(characters);
+        break;
+      }
+      case 'allowed':
+        parsed.allowed = uniqueCharacters(parsed.allowed + parseRuleCharacterClasses(value));
+        break;
+      case 'minlength':
+        if (number > 0) parsed.minLength = Math.max(parsed.minLength || 0, number);
+        break;
+      case 'maxlength':
+        if (number > 0) parsed.maxLength = Math.min(parsed.maxLength || Infinity, number);
+        break;
+      case 'max-consecutive':
+        if (number > 0) parsed.maxConsecutive = Math.min(parsed.maxConsecutive || Infinity, number);
+        break;
+    }
+  }
+
+  return parsed;
+}
+
+// "upper, digit, [-_]" -> the characters those classes allow
+function parseRuleCharacterClasses(value) {
+  let characters = '';
+
+  for (const [token, custom] of value.matchAll(/\[(.*?)\](?=\s*(?:,|$))|[a-z-]+/gi)) {
+    if (custom !== undefined) {
+      characters += custom;
+      continue;
+    }
+
+    switch (token.toLowerCase()) {
+      case 'upper':
+      case 'lower':
+      case 'digit':
+        characters += GENERATOR_CHARSETS[token.toLowerCase()];
+        break;
+      case 'special':
+        characters += PASSWORD_RULES_SPECIAL;
+        break;
+      case 'ascii-printable':
+      case 'unicode':
+        characters += GENERATOR_CHARSETS.upper + GENERATOR_CHARSETS.lower + GENERATOR_CHARSETS.digit + PASSWORD_RULES_SPECIAL;
+        break;
+    }
+  }
+
+  return uniqueCharacters(characters);
+}
+
+// Patterns like "[A-Za-z0-9]{8,16}" name the allowed characters and length outright,
+// also behind lookaheads like "(?=.*\d)". Anything more involved is ignored: the page's pattern
+// is never compiled here, so a pattern that backtracks forever can't hang the worker.
+function parseSimplePattern(pattern) {
+  const body = (pattern || '')
+    .replace(/\(\?[=!][^()]*\)/g, '')
+    .replace(/^(\^?)\\([dw])/, '$1[\\$2]');
+  const match = /^\^?\[([^\]^]+)\](?:\{(\d+)(?:,(\d*))?\}|(\+)|(\*))?\$?$/.exec(body);
+  if (!match) return null;
+
+  const [, characterClass, min, max, plus] = match;
+  let characters = '';
+  for (const [, from, to, single] of characterClass.matchAll(/(.)-(.)|(\\?.)/gu)) {
+    if (single === '\\d') {
+      characters += GENERATOR_CHARSETS.digit;
+    } else if (single === '\\w') {
+      characters += GENERATOR_CHARSETS.upper + GENERATOR_CHARSETS.lower + GENERATOR_CHARSETS.digit + '_';
+    } else if (single !== undefined) {
+      characters += single.length === 2 ? single[1] : single;
+    } else {
+      for (let code = from.codePointAt(0); code <= to.codePointAt(0); code++) {
+        characters += String.fromCodePoint(code);
+      }
+    }
+  }
+
+  return {
+    characters: uniqueCharacters(characters),
+    minLength: min !== undefined ? parseInt(min, 10) : (plus ? 1 : null),
+    maxLength: max ? parseInt(max, 10) : (min !== undefined && max === undefined ? parseInt(min, 10) : null)
+  };
+}
+
+function intersect(characters, allowed) {
+  return Array.from(characters).filter(character => allowed.includes(character)).join('');
+}
+
+function withoutLookAlikes(characters) {
+  return Array.from(characters).filter(character => !LOOK_ALIKE_CHARACTERS.includes(character)).join('');
+}
+
+/**
+ * Work out what to generate from the user's options and the field's constraints.
+ * constraints: { minLength, maxLength, pattern, passwordRules }, as read from the field.
+ * The site's rules win over the user's character classes when they say something.
+ */
+function buildPasswordPlan(options, constraints = {}) {
+  const rules = parsePasswordRules(constraints.passwordRules);
+  const simplePattern = parseSimplePattern(constraints.pattern);
+
+  const classes = ['upper', 'lower', 'digit', 'special'].filter(name => options[name]);
+  let required = (classes.length > 0 ? classes : ['lower']).map(name => GENERATOR_CHARSETS[name]);
+
+  if (rules.required.length > 0 || rules.allowed) {
+    required = rules.required;
+  }
+  let allowed = uniqueCharacters(required.join('') + rules.allowed);
+
+  if (simplePattern) {
+    allowed = intersect(allowed, simplePattern.characters) || simplePattern.characters;
+    required = required.map(set => intersect(set, allowed));
+  }
+
+  if (options.excludeLookAlikes) {
+    allowed = withoutLookAlikes(allowed) || allowed;
+    required = required.map(set => withoutLookAlikes(set));
+  }
+  required = required.filter(set => set.length > 0);
+
+  const minLength = Math.max(
+    GENERATOR_MIN_LENGTH,
+    constraints.minLength || 0,
+    rules.minLength || 0,
+    simplePattern?.minLength || 0
+  );
+  const maxLength = Math.min(
+    GENERATOR_MAX_LENGTH,
+    constraints.maxLength || Infinity,
+    rules.maxLength || Infinity,
+    simplePattern?.maxLength || Infinity
+  );
+
+  // A maxlength below our minimum still has to be honoured
+  const length = Math.min(maxLength, Math.max(minLength, options.length));
+
+  return {
+    required: required.slice(0, length),
+    allowed,
+    length,
+    minLength: Math.min(minLength, length),
+    maxLength,
+    maxConsecutive: rules.maxConsecutive,
+    restrictsCharacters: rules.required.length > 0 || !!rules.allowed || !!simplePattern
+  };
+}
+
+function satisfiesPlan(password, plan) {
+  const characters = Array.from(password);
+  if (characters.length < plan.minLength || characters.length > plan.maxLength) return false;
+  if (plan.restrictsCharacters && !characters.every(character => plan.allowed.includes(character))) return false;
+  if (!plan.required.every(set => characters.some(character => set.includes(character)))) return false;
+
+  if (plan.maxConsecutive) {
+    let run = 1;
+    for (let i = 1; i < characters.length; i++) {
+      run = characters[i] === characters[i - 1] ? run + 1 : 1;
+      if (run > plan.maxConsecutive) return false;
+    }
+  }
+
+  return true;
+}
+
+function generateFromPlan(plan) {
+  const allowed = Array.from(plan.allowed);
+  const characters = plan.required.map(set => randomChoice(Array.from(set)));
+
+  while (characters.length < plan.length) {
+    characters.push(randomChoice(allowed));
+  }
+
+  return shuffle(characters).join('');
+}
+
+/**
+ * Generate a password or passphrase.
+ * options: see DEFAULT_GENERATOR_OPTIONS. constraints: what the target field accepts.
+ */
+function generatePassword(options = {}, constraints = {}) {
+  const settings = { ...DEFAULT_GENERATOR_OPTIONS, ...options };
+
+  if (settings.mode === 'passphrase') {
+    const passphrase = generatePassphrase(settings, constraints);
+    if (passphrase) return passphrase;
+    // The site's rules rule out a passphrase; fall back to characters
+  }
+
+  const plan = buildPasswordPlan(settings, constraints);
+  let password = '';
+  for (let attempt = 0; attempt < GENERATOR_MAX_ATTEMPTS; attempt++) {
+    password = generateFromPlan(plan);
+    if (satisfiesPlan(password, plan)) break;
+  }
+  return password;
+}
+
+function randomWord(capitalize) {
+  const word = PASSPHRASE_WORDS[randomInt(PASSPHRASE_WORDS.length)];
+  return capitalize ? word[0].toUpperCase() + word.slice(1) : word;
+}
+
+// Returns null when no passphrase fits what the field accepts
+function generatePassphrase(settings, constraints) {
+  // A passphrase is judged by the characters it is made of, not the user's password classes
+  const plan = buildPasswordPlan({
+    ...settings,
+    upper: settings.capitalize,
+    lower: true,
+    digit: false,
+    special: GENERATOR_CHARSETS.special.includes(settings.separator),
+    excludeLookAlikes: false
+  }, constraints);
+  const wordCount = Math.max(3, Math.min(12, settings.wordCount));
+
+  for (let attempt = 0; attempt < GENERATOR_MAX_ATTEMPTS; attempt++) {
+    const words = Array.from({ length: wordCount }, () => randomWord(settings.capitalize));
+
+    while (words.join(settings.separator).length < plan.minLength) {
+      words.push(randomWord(settings.capitalize));
+    }
+    while (words.length > 3 && words.join(settings.separator).length > plan.maxLength) {
+      words.pop();
+    }
+
+    // Sites that insist on a digit get one at the end of a word
+    const digitSet = plan.required.find(set => /\d/.test(set) && !/\D/.test(set));
+    if (digitSet) {
+      words[randomInt(words.length)] += randomChoice(digitSet);
+    }
+
+    const passphrase = words.join(settings.separator);
+    if (satisfiesPlan(passphrase, plan)) {
+      return passphrase;
+    }
+  }
+
+  return null;
+}
+
+// The options last chosen in the popup generator, also used for suggestions and the context menu
+const GENERATOR_OPTIONS_KEY = 'generatorOptions';
+
+async function getGeneratorOptions() {
+  const stored = await chrome.storage.local.get(GENERATOR_OPTIONS_KEY);
+  return { ...DEFAULT_GENERATOR_OPTIONS, ...stored[GENERATOR_OPTIONS_KEY] };
+}
+
+// Recently used passwords, kept for the browser session so one generated on a signup
+// page can still be found if saving it failed
+const GENERATOR_HISTORY_KEY = 'generatorHistory';
+const GENERATOR_HISTORY_LIMIT = 10;
+
+async function getGeneratorHistory() {
+  const stored = await chrome.storage.session.get(GENERATOR_HISTORY_KEY);
+  return stored[GENERATOR_HISTORY_KEY] || [];
+}
+
+async function addToGeneratorHistory(password, url) {
+  let host = '';
+  try {
+    host = new URL(url).hostname;
+  } catch (error) {
+    // Keep the password without a site
+  }
+
+  const history = await getGeneratorHistory();
+  const updated = [
+    { password, host, createdAt: Date.now() },
+    ...history.filter(entry => entry.password !== password)
+  ].slice(0, GENERATOR_HISTORY_LIMIT);
+
+  await chrome.storage.session.set({ [GENERATOR_HISTORY_KEY]: updated });
+}
@@ -0,0 +1,74 @@
+// DodoPass Browser Extension - Clipboard Document
+// The offscreen document the background worker copies through. It keeps the timer that clears
+// a copied secret, since the popup or page that copied it is often gone by then, and it only
+// clears the clipboard if it still holds what DodoPass wrote.
+
+let pendingClear = null; // { text, write, timer }
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'clipboard') return false;
+
+  if (message.action === 'write') {
+    sendResponse({ success: writeText(message) });
+  }
+  return false;
+});
+
+function writeText({ text, clearAfter, write }) {
+  // Whatever was waiting to be cleared is being overwritten anyway
+  clearTimeout(pendingClear?.timer);
+  pendingClear = null;
+
+  if (!setClipboard(text)) {
+    finish(write);
+    return false;
+  }
+
+  if (clearAfter > 0) {
+    pendingClear = { text, write, timer: setTimeout(clearClipboard, clearAfter * 1000) };
+  } else {
+    finish(write);
+  }
+  return true;
+}
+
+function clearClipboard() {
+  const { text, write } = pendingClear;
+  pendingClear = null;
+
+  // Leave it alone if the user copied something else since
+  if (readClipboard() === text) {
+    setClipboard('');
+  }
+  finish(write);
+}
+
+// Nothing left to clear: the worker may close this document
+function finish(write) {
+  chrome.runtime.sendMessage({ action: 'clipboardIdle', write }).catch(() => {});
+}
+
+// execCommand works without focus, which navigator.clipboard needs and this document never has
+function setClipboard(text) {
+  const onCopy = (event) => {
+    event.clipboardData.setData('text/plain', text);
+    event.preventDefault();
+  };
+
+  document.addEventListener('copy', onCopy);
+  try {
+    return document.execCommand('copy');
+  } finally {
+    document.removeEventListener('copy', onCopy);
+  }
+}
+
+function readClipboard() {
+  const textarea = document.createElement('textarea');
+  document.body.appendChild(textarea);
+  textarea.focus();
+  document.execCommand('paste');
+  const text = textarea.value;
+  textarea.remove();
+  return text;
+}
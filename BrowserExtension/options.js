@@ -0,0 +1,239 @@
+// DodoPass Browser Extension - Options Script
+// Every change is saved right away; the background worker and content scripts pick it up
+// through chrome.storage.onChanged.
+
+// Elements
+const statusEl = document.getElementById('status');
+const clipboardClearDelay = document.getElementById('clipboardClearDelay');
+const addSiteForm = document.getElementById('addSiteForm');
+const addSiteInput = document.getElementById('addSiteInput');
+const siteList = document.getElementById('siteList');
+const sitesEmpty = document.getElementById('sitesEmpty');
+
+const GENERAL_TOGGLES = ['inlineMenu', 'savePrompts', 'breachCheck'];
+
+const SITE_TOGGLES = [
+  { key: 'autofill', label: 'Autofill' },
+  { key: 'savePrompts', label: 'Offer to save' },
+  { key: 'autoSubmit', label: 'Sign in after filling' },
+  { key: 'fillOnPageLoad', label: 'Fill when the page loads' }
+];
+
+// Sites added on this page that don't differ from the defaults yet, so they aren't stored
+const addedSites = new Set();
+
+// site -> logins for it, or the error that kept us from listing them
+const siteItems = new Map();
+
+// Initialize
+function init() {
+  for (const delay of CLIPBOARD_CLEAR_DELAYS) {
+    const option = document.createElement('option');
+    option.value = String(delay);
+    option.textContent = delay === 0 ? 'Never' : `After ${delay} seconds`;
+    clipboardClearDelay.appendChild(option);
+  }
+
+  for (const key of GENERAL_TOGGLES) {
+    document.getElementById(key).addEventListener('change', (e) => {
+      updateSettings({ [key]: e.target.checked });
+    });
+  }
+  clipboardClearDelay.addEventListener('change', () => {
+    updateSettings({ clipboardClearDelay: Number(clipboardClearDelay.value) });
+  });
+  addSiteForm.addEventListener('submit', handleAddSite);
+
+  render();
+  onSettingsChanged(render);
+}
+
+async function render() {
+  try {
+    const [settings, allSiteSettings] = await Promise.all([getSettings(), getAllSiteSettings()]);
+
+    for (const key of GENERAL_TOGGLES) {
+      document.getElementById(key).checked = settings[key];
+    }
+    clipboardClearDelay.value = String(settings.clipboardClearDelay);
+
+    renderSites(allSiteSettings);
+  } catch (error) {
+    showStatus(error.message);
+  }
+}
+
+async function updateSettings(changes) {
+  try {
+    await saveSettings(changes);
+  } catch (error) {
+    showStatus(error.message);
+  }
+}
+
+// Sites
+function renderSites(allSiteSettings) {
+  const sites = [...new Set([...Object.keys(allSiteSettings), ...addedSites])].sort();
+
+  siteList.replaceChildren(...sites.map(site => createSiteRow(site, {
+    ...DEFAULT_SITE_SETTINGS,
+    ...allSiteSettings[site]
+  })));
+  sitesEmpty.classList.toggle('hidden', sites.length > 0);
+}
+
+function createSiteRow(site, settings) {
+  const row = document.createElement('div');
+  row.className = 'site-row';
+
+  const header = document.createElement('div');
+  header.className = 'site-header';
+  const name = document.createElement('span');
+  name.className = 'site-name';
+  name.textContent = site;
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'options-btn secondary';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', () => removeSite(site));
+  header.appendChild(name);
+  header.appendChild(removeBtn);
+
+  const options = document.createElement('div');
+  options.className = 'site-options';
+
+  for (const { key, label } of SITE_TOGGLES) {
+    const toggle = document.createElement('label');
+    toggle.className = 'site-toggle';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = settings[key];
+    checkbox.addEventListener('change', () => updateSite(site, { [key]: checkbox.checked }));
+    toggle.appendChild(checkbox);
+    toggle.appendChild(document.createTextNode(label));
+    options.appendChild(toggle);
+  }
+
+  options.appendChild(createItemPicker(site, settings.itemId));
+
+  row.appendChild(header);
+  row.appendChild(options);
+  return row;
+}
+
+// Which login the fill shortcut uses on the site
+function createItemPicker(site, itemId) {
+  const picker = document.createElement('label');
+  picker.className = 'site-item';
+  picker.appendChild(document.createTextNode('Fill with'));
+
+  const select = document.createElement('select');
+  const firstMatch = document.createElement('option');
+  firstMatch.value = '';
+  firstMatch.textContent = 'The first match';
+  select.appendChild(firstMatch);
+
+  if (itemId) {
+    // Until the logins are listed, or if they can't be
+    const chosen = document.createElement('option');
+    chosen.value = itemId;
+    chosen.textContent = 'The chosen login';
+    select.appendChild(chosen);
+  }
+  select.value = itemId || '';
+  select.addEventListener('change', () => updateSite(site, { itemId: select.value || null }));
+  picker.appendChild(select);
+
+  loadSiteItems(site).then((result) => {
+    if (!result.success) {
+      select.title = result.error || 'DodoPass is not available';
+      return;
+    }
+
+    for (const option of [...select.options].slice(1)) {
+      option.remove();
+    }
+    for (const item of result.data.items) {
+      const option = document.createElement('option');
+      option.value = item.id;
+      option.textContent = item.username ? `${item.title} (${item.username})` : item.title;
+      select.appendChild(option);
+    }
+    select.value = result.data.items.some(item => item.id === itemId) ? itemId : '';
+  });
+
+  return picker;
+}
+
+async function loadSiteItems(site) {
+  if (!siteItems.has(site)) {
+    siteItems.set(site, chrome.runtime.sendMessage({ action: 'listForSite', site }).then((result) => {
+      if (!result?.success) {
+        // Try again next time, e.g. once the vault is unlocked
+        siteItems.delete(site);
+      }
+      return result || { success: false };
+    }, (error) => {
+      siteItems.delete(site);
+      return { success: false, error: error.message };
+    }));
+  }
+  return siteItems.get(site);
+}
+
+async function updateSite(site, changes) {
+  try {
+    await saveSiteSettings(site, changes);
+  } catch (error) {
+    showStatus(error.message);
+  }
+}
+
+async function removeSite(site) {
+  addedSites.delete(site);
+  try {
+    await removeSiteSettings(site);
+    render();
+  } catch (error) {
+    showStatus(error.message);
+  }
+}
+
+function handleAddSite(e) {
+  e.preventDefault();
+
+  const site = siteFromInput(addSiteInput.value);
+  if (!site) {
+    showStatus('Enter a site like example.com');
+    return;
+  }
+
+  addedSites.add(site);
+  addSiteInput.value = '';
+  hideStatus();
+  render();
+}
+
+// "https://login.example.com/path" and "login.example.com" both mean example.com
+function siteFromInput(value) {
+  const text = value.trim();
+  if (!text) return null;
+
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    return getRegistrableDomain(url.hostname) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Status
+function showStatus(message) {
+  statusEl.textContent = message;
+  statusEl.className = 'status error';
+}
+
+function hideStatus() {
+  statusEl.className = 'status hidden';
+}
+
+init();
@@ -11,13 +11,75 @@ const pageMatchesList = document.getElementById('pageMatchesList');
 const searchResults = document.getElementById('searchResults');
 const searchResultsList = document.getElementById('searchResultsList');
 const emptyState = document.getElementById('emptyState');
+const identities = document.getElementById('identities');
+const identitiesList = document.getElementById('identitiesList');
 const lockBtn = document.getElementById('lockBtn');
+const settingsBtn = document.getElementById('settingsBtn');
 const unlockPassword = document.getElementById('unlockPassword');
 const unlockBtn = document.getElementById('unlockBtn');
+const confirmBar = document.getElementById('confirmBar');
+const confirmMessage = document.getElementById('confirmMessage');
+const confirmOkBtn = document.getElementById('confirmOkBtn');
+const confirmCancelBtn = document.getElementById('confirmCancelBtn');
+const confirmExtraBtn = document.getElementById('confirmExtraBtn');
+const connectionHint = document.getElementById('connectionHint');
+const updateView = document.getElementById('updateView');
+const pairView = document.getElementById('pairView');
+const pairHint = document.getElementById('pairHint');
+const pairCode = document.getElementById('pairCode');
+const pairBtn = document.getElementById('pairBtn');
+const updateTitle = document.getElementById('updateTitle');
+const updateMessage = document.getElementById('updateMessage');
+const generatorBtn = document.getElementById('generatorBtn');
+const generatorView = document.getElementById('generatorView');
+const generatedPassword = document.getElementById('generatedPassword');
+const regenerateBtn = document.getElementById('regenerateBtn');
+const strength = document.getElementById('strength');
+const strengthBar = document.getElementById('strengthBar');
+const strengthLabel = document.getElementById('strengthLabel');
+const siteRulesHint = document.getElementById('siteRulesHint');
+const passwordOptions = document.getElementById('passwordOptions');
+const passphraseOptions = document.getElementById('passphraseOptions');
+const lengthSlider = document.getElementById('lengthSlider');
+const lengthValue = document.getElementById('lengthValue');
+const wordCountSlider = document.getElementById('wordCountSlider');
+const wordCountValue = document.getElementById('wordCountValue');
+const optSeparator = document.getElementById('optSeparator');
+const copyGeneratedBtn = document.getElementById('copyGeneratedBtn');
+const fillGeneratedBtn = document.getElementById('fillGeneratedBtn');
+const generatorHistory = document.getElementById('generatorHistory');
+const generatorHistoryList = document.getElementById('generatorHistoryList');
+
+// Generator checkboxes by option name
+const generatorToggles = {
+  upper: document.getElementById('optUpper'),
+  lower: document.getElementById('optLower'),
+  digit: document.getElementById('optDigit'),
+  special: document.getElementById('optSpecial'),
+  excludeLookAlikes: document.getElementById('optExcludeLookAlikes'),
+  capitalize: document.getElementById('optCapitalize')
+};
 
 // State
 let currentUrl = '';
 let searchTimeout = null;
+let currentView = null;
+let viewBeforeGenerator = 'main';
+let generatorOptions = { ...DEFAULT_GENERATOR_OPTIONS };
+let generatorConstraints = {};
+let strengthTimeout = null;
+let appFeatures = {}; // What the connected app serves, from the last status
+let pairingPoll = null;
+let statusTimer = null;
+
+const PAIRING_POLL_INTERVAL = 2000;
+const PAIRING_HINT = 'DodoPass will ask you to confirm a code';
+
+// One timer for every code shown in the lists
+const totpTicker = createTotpTicker({
+  fetchCode: (itemId) => chrome.runtime.sendMessage({ action: 'getTOTP', id: itemId }),
+  onLocked: () => showView('locked')
+});
 
 // Initialize
 async function init() {
@@ -31,7 +93,13 @@ async function init() {
   // Setup event listeners
   searchInput.addEventListener('input', handleSearch);
   lockBtn.addEventListener('click', handleLock);
+  generatorBtn.addEventListener('click', toggleGenerator);
+  settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  setupGenerator();
+  window.addEventListener('pagehide', () => totpTicker.stop());
+  watchConnectionState();
   unlockBtn.addEventListener('click', handleUnlock);
+  pairBtn.addEventListener('click', handlePair);
   unlockPassword.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') {
       handleUnlock();
@@ -44,6 +112,21 @@ async function checkStatus() {
   try {
     const response = await chrome.runtime.sendMessage({ action: 'getStatus' });
 
+    if (response?.incompatible) {
+      showUpdateView(response.incompatible, response.error);
+      return;
+    }
+
+    if (response?.notPaired) {
+      // Leave a pairing in progress alone
+      if (currentView !== 'pair') {
+        resetPairing();
+        totpTicker.stop();
+        showView('pair');
+      }
+      return;
+    }
+
     if (!response || response.error) {
       showView('notRunning');
       return;
@@ -55,6 +138,8 @@ async function checkStatus() {
       return;
     }
 
+    appFeatures = response.data?.features || {};
+
     if (response.data?.locked) {
       showView('locked');
       return;
@@ -62,17 +147,161 @@ async function checkStatus() {
 
     showView('main');
     await loadPageMatches();
+    await loadIdentities();
+    await loadFillReview();
   } catch (error) {
     console.error('Status check error:', error);
     showView('notRunning');
   }
 }
 
+// Follow the connection to the app: say when it drops, pick up again once it's back
+function watchConnectionState() {
+  let previous = null;
+  const port = chrome.runtime.connect({ name: 'connectionState' });
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'vaultEvent') {
+      handleVaultEvent(message.event);
+      return;
+    }
+
+    const { state } = message;
+    const changed = previous && (previous.status !== state.status || previous.appAvailable !== state.appAvailable);
+    const compatibilityChanged = previous && previous.compatibility !== state.compatibility;
+    const unpaired = previous && previous.paired !== false && state.paired === false;
+    previous = state;
+    renderConnectionHint(state);
+
+    // A different app build answered after a reconnect
+    if (compatibilityChanged && state.compatibility && state.compatibility !== 'ok') {
+      checkStatus();
+      return;
+    }
+    if (compatibilityChanged && state.compatibility === 'ok' && currentView === 'update') {
+      checkStatus();
+      return;
+    }
+    // DodoPass revoked this browser
+    if (unpaired && currentView !== 'pair') {
+      checkStatus();
+      return;
+    }
+    if (!changed) return;
+
+    if (state.status === 'disconnected' && currentView !== 'notRunning') {
+      totpTicker.stop();
+      showView('notRunning');
+    } else if (state.status === 'connected' && state.appAvailable && currentView === 'notRunning') {
+      checkStatus();
+    }
+  });
+}
+
+// Pushed by the app: follow its lock state and refresh the lists when items change
+function handleVaultEvent(event) {
+  if (event === 'locked' && currentView === 'main') {
+    totpTicker.stop();
+    showView('locked');
+  } else if (event === 'unlocked' && currentView === 'locked') {
+    checkStatus();
+  } else if (event === 'itemsChanged' && currentView === 'main') {
+    refreshItems();
+  }
+}
+
+async function refreshItems() {
+  await loadPageMatches();
+  if (searchInput.value.trim()) {
+    handleSearch({ target: searchInput });
+  }
+}
+
+function renderConnectionHint(state) {
+  let hint = '';
+  if (state.status === 'connecting') {
+    hint = 'Connecting…';
+  } else if (state.status === 'disconnected' && state.retryAt) {
+    const seconds = Math.max(1, Math.round((state.retryAt - Date.now()) / 1000));
+    hint = `Connection lost, retrying in ${seconds}s`;
+  }
+  connectionHint.textContent = hint;
+  connectionHint.classList.toggle('hidden', !hint);
+}
+
+function showUpdateView(incompatibility, message) {
+  updateTitle.textContent = incompatibility === 'extensionOutdated'
+    ? 'Update the DodoPass extension'
+    : 'Update DodoPass';
+  updateMessage.textContent = message;
+  totpTicker.stop();
+  showView('update');
+}
+
+// Pairing: show the code, then wait for the user to confirm it in DodoPass
+async function handlePair() {
+  pairBtn.disabled = true;
+  pairHint.textContent = 'Asking DodoPass…';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'startPairing' });
+    if (!response?.success) {
+      resetPairing(response?.error || 'Could not reach DodoPass');
+      return;
+    }
+
+    const { code } = response.data;
+    pairCode.textContent = `${code.slice(0, 3)} ${code.slice(3)}`;
+    pairCode.classList.remove('hidden');
+    pairHint.textContent = 'Check that DodoPass shows the same code, then confirm it there';
+    pollPairing();
+  } catch (error) {
+    console.error('Pairing error:', error);
+    resetPairing('Could not reach DodoPass');
+  }
+}
+
+function pollPairing() {
+  clearTimeout(pairingPoll);
+  pairingPoll = setTimeout(async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'checkPairing' });
+      const status = response?.data?.status;
+
+      // Keep asking through hiccups in the connection
+      if (!response?.success || status === 'pending') {
+        pollPairing();
+      } else if (status === 'approved') {
+        resetPairing();
+        showStatus('Browser paired', 'success');
+        await checkStatus();
+      } else {
+        resetPairing('Pairing was declined or timed out');
+      }
+    } catch (error) {
+      pollPairing();
+    }
+  }, PAIRING_POLL_INTERVAL);
+}
+
+function resetPairing(hint = PAIRING_HINT) {
+  clearTimeout(pairingPoll);
+  pairingPoll = null;
+  pairCode.classList.add('hidden');
+  pairHint.textContent = hint;
+  pairBtn.disabled = false;
+}
+
 // Show a specific view
 function showView(view) {
+  currentView = view;
   lockedView.classList.add('hidden');
   notRunningView.classList.add('hidden');
+  updateView.classList.add('hidden');
+  pairView.classList.add('hidden');
   mainView.classList.add('hidden');
+  generatorView.classList.add('hidden');
+  generatorBtn.classList.toggle('active', view === 'generator');
 
   switch (view) {
     case 'locked':
@@ -82,22 +311,79 @@ function showView(view) {
     case 'notRunning':
       notRunningView.classList.remove('hidden');
       break;
+    case 'update':
+      updateView.classList.remove('hidden');
+      break;
+    case 'pair':
+      pairView.classList.remove('hidden');
+      break;
     case 'main':
       mainView.classList.remove('hidden');
       searchInput.focus();
       break;
+    case 'generator':
+      generatorView.classList.remove('hidden');
+      break;
   }
 }
 
 // Show status message
 function showStatus(message, type = 'info') {
+  setStatus(message, type);
+  statusTimer = setTimeout(() => {
+    statusEl.classList.add('hidden');
+  }, 3000);
+}
+
+// Confirm a copy, counting down to when the clipboard is cleared
+function showCopied(message, clearAfter) {
+  if (!clearAfter) {
+    showStatus(message, 'success');
+    return;
+  }
+
+  const clearsAt = Date.now() + clearAfter * 1000;
+  const tick = () => {
+    const remaining = Math.ceil((clearsAt - Date.now()) / 1000);
+    if (remaining <= 0) {
+      statusEl.classList.add('hidden');
+      return;
+    }
+    setStatus(`${message} · Clears in ${remaining}s`, 'success');
+    statusTimer = setTimeout(tick, 1000);
+  };
+  tick();
+}
+
+function setStatus(message, type) {
+  clearTimeout(statusTimer);
   statusEl.textContent = message;
   statusEl.className = `status ${type}`;
   statusEl.classList.remove('hidden');
+}
 
-  setTimeout(() => {
-    statusEl.classList.add('hidden');
-  }, 3000);
+// Ask the user to confirm before continuing, optionally offering a second way to continue
+function showConfirm(message, confirmLabel, onConfirm, extraAction = null, onCancel = null) {
+  confirmMessage.textContent = message;
+  confirmOkBtn.textContent = confirmLabel;
+  confirmExtraBtn.classList.toggle('hidden', !extraAction);
+  confirmBar.classList.remove('hidden');
+
+  confirmOkBtn.onclick = () => {
+    confirmBar.classList.add('hidden');
+    onConfirm();
+  };
+  confirmCancelBtn.onclick = () => {
+    confirmBar.classList.add('hidden');
+    onCancel?.();
+  };
+  if (extraAction) {
+    confirmExtraBtn.textContent = extraAction.label;
+    confirmExtraBtn.onclick = () => {
+      confirmBar.classList.add('hidden');
+      extraAction.onClick();
+    };
+  }
 }
 
 // Handle unlock
@@ -121,6 +407,8 @@ async function handleUnlock() {
       unlockPassword.value = '';
       showView('main');
       await loadPageMatches();
+      await loadIdentities();
+      await loadFillReview();
     } else {
       showStatus(response.error || 'Failed to unlock', 'error');
       unlockPassword.select();
@@ -155,6 +443,39 @@ async function loadPageMatches() {
   }
 }
 
+// Load identities if the current page has identity fields
+async function loadIdentities() {
+  if (!appFeatures.identities) {
+    identities.classList.add('hidden');
+    return;
+  }
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const fields = await chrome.tabs.sendMessage(tab.id, { action: 'getFields' }, { frameId: 0 });
+
+    if (!fields?.hasIdentity) {
+      identities.classList.add('hidden');
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'listIdentities' });
+
+    if (response.success && response.data?.items?.length > 0) {
+      identitiesList.replaceChildren();
+      response.data.items.forEach(item => {
+        identitiesList.appendChild(createIdentityElement(item));
+      });
+      identities.classList.remove('hidden');
+    } else {
+      identities.classList.add('hidden');
+    }
+  } catch (error) {
+    // No content script on this page (e.g. chrome:// URLs)
+    identities.classList.add('hidden');
+  }
+}
+
 // Handle search input
 function handleSearch(e) {
   const query = e.target.value.trim();
@@ -296,6 +617,14 @@ function createItemElement(item) {
 
   itemEl.appendChild(iconEl);
   itemEl.appendChild(contentEl);
+
+  // Live code and countdown
+  if (item.hasTotp) {
+    const totpDisplay = createTotpDisplay();
+    itemEl.appendChild(totpDisplay);
+    totpTicker.track(item.id, totpDisplay);
+  }
+
   itemEl.appendChild(actionsEl);
 
   // Event listeners
@@ -314,6 +643,38 @@ function createItemElement(item) {
   return itemEl;
 }
 
+// Create an identity element safely using DOM methods
+function createIdentityElement(item) {
+  const itemEl = document.createElement('div');
+  itemEl.className = 'item';
+  itemEl.title = 'Fill identity';
+
+  const iconEl = document.createElement('div');
+  iconEl.className = 'item-icon';
+  iconEl.textContent = getInitial(item.title);
+
+  const contentEl = document.createElement('div');
+  contentEl.className = 'item-content';
+
+  const titleEl = document.createElement('div');
+  titleEl.className = 'item-title';
+  titleEl.textContent = item.title;
+
+  const subtitleEl = document.createElement('div');
+  subtitleEl.className = 'item-subtitle';
+  subtitleEl.textContent = [item.fullName, item.email].filter(Boolean).join(' · ');
+
+  contentEl.appendChild(titleEl);
+  contentEl.appendChild(subtitleEl);
+
+  itemEl.appendChild(iconEl);
+  itemEl.appendChild(contentEl);
+
+  itemEl.addEventListener('click', () => fillIdentity(item.id));
+
+  return itemEl;
+}
+
 // Render items to a list
 function renderItems(items, container) {
   container.replaceChildren();
@@ -324,27 +685,99 @@ function renderItems(items, container) {
   });
 }
 
-// Fill credentials into page
+// Fill credentials into page. The background picks the frame and checks its origin.
 async function fillCredentials(itemId) {
   try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
     const response = await chrome.runtime.sendMessage({
-      action: 'getCredentials',
-      id: itemId
+      action: 'fillItem',
+      tabId: tab.id,
+      itemId: itemId
     });
 
+    if (response.success) {
+      showStatus('Credentials filled', 'success');
+      window.close();
+    } else if (response.needsConfirmation) {
+      showFillReview(tab.id, { kind: 'login', policy: response.data });
+    } else {
+      showStatus(response.error || 'Failed to get credentials', 'error');
+    }
+  } catch (error) {
+    console.error('Fill error:', error);
+    showStatus('Fill failed', 'error');
+  }
+}
+
+// What a fill of each kind of item hands to the page
+const FILLED_DETAILS = {
+  login: 'the password',
+  card: 'the card details',
+  identity: 'your details'
+};
+
+// One sentence per reason the background wants the user to confirm a fill
+function describeFillWarnings(policy, kind = 'login') {
+  const frameHost = getHostFromOrigin(policy.frameOrigin);
+  const warnings = [];
+
+  if (policy.embedded) {
+    warnings.push(`The form is embedded from ${frameHost} inside ${getHostFromOrigin(policy.topOrigin)}.`);
+  }
+  if (policy.insecure) {
+    warnings.push(`${frameHost} does not use a secure connection, so others on the network could read ${FILLED_DETAILS[kind]}.`);
+  }
+  if (policy.crossOriginAction) {
+    warnings.push(`The form sends what you enter to ${getHostFromOrigin(policy.actionOrigin)}.`);
+  }
+  if (!policy.matchesItem) {
+    warnings.push(`${frameHost} is not a saved site for this login.`);
+  }
+
+  return warnings.join(' ');
+}
+
+// Fill review
+// Fills the background held back until the user confirms them here, where the page can't click
+// for them: from this popup, the page's dropdown, the fill shortcut or the context menu.
+async function loadFillReview() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.runtime.sendMessage({ action: 'getFillReview', tabId: tab.id });
     if (response.success && response.data) {
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      showFillReview(tab.id, response.data);
+    }
+  } catch (error) {
+    console.error('Fill review error:', error);
+  }
+}
 
-      await chrome.tabs.sendMessage(tab.id, {
-        action: 'fillCredentials',
-        username: response.data.username,
-        password: response.data.password
-      });
+function showFillReview(tabId, review) {
+  const addSite = {
+    label: 'Add site & fill',
+    onClick: () => confirmFillReview(tabId, { addSite: true })
+  };
+  const question = review.title ? `Fill "${review.title}"? ` : '';
 
-      showStatus('Credentials filled', 'success');
+  showConfirm(
+    question + describeFillWarnings(review.policy, review.kind),
+    'Fill anyway',
+    () => confirmFillReview(tabId),
+    review.policy.canAddSite ? addSite : null,
+    () => chrome.runtime.sendMessage({ action: 'dismissFillReview', tabId })
+  );
+}
+
+// The background fills the frame it checked, not whichever has focus by now
+async function confirmFillReview(tabId, { addSite = false } = {}) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'confirmFillReview', tabId, addSite });
+    if (response.success) {
+      showStatus('Filled', 'success');
       window.close();
     } else {
-      showStatus(response.error || 'Failed to get credentials', 'error');
+      showStatus(response.error || 'Fill failed', 'error');
     }
   } catch (error) {
     console.error('Fill error:', error);
@@ -352,6 +785,32 @@ async function fillCredentials(itemId) {
   }
 }
 
+// Fill identity into page
+async function fillIdentity(itemId) {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.runtime.sendMessage({
+      action: 'fillItem',
+      kind: 'identity',
+      tabId: tab.id,
+      itemId,
+      frameId: 0
+    });
+
+    if (response.success) {
+      showStatus('Identity filled', 'success');
+      window.close();
+    } else if (response.needsConfirmation) {
+      showFillReview(tab.id, { kind: 'identity', policy: response.data });
+    } else {
+      showStatus(response.error || 'Failed to get identity', 'error');
+    }
+  } catch (error) {
+    console.error('Identity fill error:', error);
+    showStatus('Fill failed', 'error');
+  }
+}
+
 // Copy password to clipboard
 async function copyPassword(itemId) {
   try {
@@ -361,8 +820,7 @@ async function copyPassword(itemId) {
     });
 
     if (response.success && response.data?.password) {
-      await navigator.clipboard.writeText(response.data.password);
-      showStatus('Password copied', 'success');
+      await copySecret(response.data.password, 'Password copied');
     } else {
       showStatus(response.error || 'Failed to copy', 'error');
     }
@@ -381,8 +839,7 @@ async function copyTOTP(itemId) {
     });
 
     if (response.success && response.data?.code) {
-      await navigator.clipboard.writeText(response.data.code);
-      showStatus(`TOTP copied: ${response.data.code} (${response.data.remaining}s)`, 'success');
+      await copySecret(response.data.code, `TOTP copied: ${response.data.code}`);
     } else {
       showStatus(response.error || 'Failed to get TOTP', 'error');
     }
@@ -392,20 +849,234 @@ async function copyTOTP(itemId) {
   }
 }
 
+// The background worker copies, so the secret can be cleared after the popup has closed
+async function copySecret(text, message) {
+  const response = await chrome.runtime.sendMessage({ action: 'copyToClipboard', text });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Copy failed');
+  }
+  showCopied(message, response.data.clearAfter);
+}
+
 // Handle lock button
 async function handleLock() {
   try {
     await chrome.runtime.sendMessage({ action: 'lock' });
+    totpTicker.stop();
     showView('locked');
   } catch (error) {
     console.error('Lock error:', error);
   }
 }
 
+// Password generator
+function setupGenerator() {
+  regenerateBtn.addEventListener('click', regeneratePassword);
+  copyGeneratedBtn.addEventListener('click', copyGeneratedPassword);
+  fillGeneratedBtn.addEventListener('click', fillGeneratedPassword);
+
+  for (const segment of document.querySelectorAll('.segment')) {
+    segment.addEventListener('click', () => updateGeneratorOption('mode', segment.dataset.mode));
+  }
+  lengthSlider.addEventListener('input', () => updateGeneratorOption('length', Number(lengthSlider.value)));
+  wordCountSlider.addEventListener('input', () => updateGeneratorOption('wordCount', Number(wordCountSlider.value)));
+  optSeparator.addEventListener('change', () => updateGeneratorOption('separator', optSeparator.value));
+
+  for (const [name, toggle] of Object.entries(generatorToggles)) {
+    toggle.addEventListener('change', () => updateGeneratorOption(name, toggle.checked));
+  }
+}
+
+async function toggleGenerator() {
+  if (currentView === 'generator') {
+    showView(viewBeforeGenerator);
+    return;
+  }
+
+  viewBeforeGenerator = currentView || 'main';
+  showView('generator');
+
+  generatorOptions = await getGeneratorOptions();
+  generatorConstraints = await getPageConstraints();
+  siteRulesHint.classList.toggle('hidden', !Object.values(generatorConstraints).some(value => value !== null));
+
+  renderGeneratorOptions();
+  regeneratePassword();
+  await renderGeneratorHistory();
+}
+
+// Constraints of the password field on the current page, if there is one
+async function getPageConstraints() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.runtime.sendMessage({ action: 'getPasswordConstraints', tabId: tab.id });
+    return response?.success ? response.data : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function renderGeneratorOptions() {
+  const passphrase = generatorOptions.mode === 'passphrase';
+  passwordOptions.classList.toggle('hidden', passphrase);
+  passphraseOptions.classList.toggle('hidden', !passphrase);
+
+  for (const segment of document.querySelectorAll('.segment')) {
+    segment.classList.toggle('selected', segment.dataset.mode === generatorOptions.mode);
+  }
+
+  lengthSlider.value = generatorOptions.length;
+  lengthValue.textContent = generatorOptions.length;
+  wordCountSlider.value = generatorOptions.wordCount;
+  wordCountValue.textContent = generatorOptions.wordCount;
+  optSeparator.value = generatorOptions.separator;
+
+  for (const [name, toggle] of Object.entries(generatorToggles)) {
+    toggle.checked = !!generatorOptions[name];
+  }
+}
+
+function updateGeneratorOption(name, value) {
+  generatorOptions = { ...generatorOptions, [name]: value };
+
+  // Keep at least one character class
+  if (!['upper', 'lower', 'digit', 'special'].some(className => generatorOptions[className])) {
+    generatorOptions.lower = true;
+  }
+
+  chrome.storage.local.set({ [GENERATOR_OPTIONS_KEY]: generatorOptions });
+  renderGeneratorOptions();
+  regeneratePassword();
+}
+
+function regeneratePassword() {
+  generatedPassword.value = generatePassword(generatorOptions, generatorConstraints);
+
+  // Sliders fire on every step; only rate the password the user stops at
+  clearTimeout(strengthTimeout);
+  strengthTimeout = setTimeout(updateStrength, 150);
+}
+
+async function updateStrength() {
+  const password = generatedPassword.value;
+
+  // Rated by the app, if it can
+  strength.classList.toggle('hidden', !appFeatures.passwordStrength);
+  if (!appFeatures.passwordStrength) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getPasswordStrength', password });
+    if (password !== generatedPassword.value) return;
+
+    if (response?.success) {
+      strengthBar.style.width = `${response.data.score}%`;
+      strengthBar.className = `strength-bar ${response.data.level.toLowerCase()}`;
+      strengthLabel.textContent = response.data.level;
+    } else {
+      strengthBar.style.width = '0';
+      strengthLabel.textContent = '';
+    }
+  } catch (error) {
+    console.error('Strength check error:', error);
+  }
+}
+
+async function copyGeneratedPassword() {
+  try {
+    await copySecret(generatedPassword.value, 'Password copied');
+    await addToGeneratorHistory(generatedPassword.value, currentUrl);
+    await renderGeneratorHistory();
+  } catch (error) {
+    console.error('Copy error:', error);
+    showStatus('Copy failed', 'error');
+  }
+}
+
+async function fillGeneratedPassword() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const password = generatedPassword.value;
+    const response = await chrome.runtime.sendMessage({ action: 'fillPassword', tabId: tab.id, password });
+
+    if (response?.success) {
+      await addToGeneratorHistory(password, currentUrl);
+      showStatus('Password filled', 'success');
+      window.close();
+    } else {
+      showStatus(response?.error || 'No password field on this page', 'error');
+    }
+  } catch (error) {
+    console.error('Fill error:', error);
+    showStatus('Fill failed', 'error');
+  }
+}
+
+async function renderGeneratorHistory() {
+  const history = await getGeneratorHistory();
+  generatorHistoryList.replaceChildren();
+  generatorHistory.classList.toggle('hidden', history.length === 0);
+
+  for (const entry of history) {
+    generatorHistoryList.appendChild(createHistoryElement(entry));
+  }
+}
+
+function createHistoryElement(entry) {
+  const itemEl = document.createElement('div');
+  itemEl.className = 'item';
+
+  const iconEl = document.createElement('div');
+  iconEl.className = 'item-icon';
+  iconEl.textContent = getInitial(entry.host);
+
+  const contentEl = document.createElement('div');
+  contentEl.className = 'item-content';
+
+  const titleEl = document.createElement('div');
+  titleEl.className = 'item-title history-password';
+  titleEl.textContent = entry.password;
+
+  const subtitleEl = document.createElement('div');
+  subtitleEl.className = 'item-subtitle';
+  subtitleEl.textContent = `${entry.host || 'Unknown site'} · ${formatTimeAgo(entry.createdAt)}`;
+
+  contentEl.appendChild(titleEl);
+  contentEl.appendChild(subtitleEl);
+
+  itemEl.appendChild(iconEl);
+  itemEl.appendChild(contentEl);
+
+  itemEl.title = 'Copy password';
+  itemEl.addEventListener('click', async () => {
+    try {
+      await copySecret(entry.password, 'Password copied');
+    } catch (error) {
+      showStatus('Copy failed', 'error');
+    }
+  });
+
+  return itemEl;
+}
+
 // Utilities
+function formatTimeAgo(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return `${Math.floor(minutes / 60)} h ago`;
+}
+
 function getInitial(title) {
   return (title || '?')[0].toUpperCase();
 }
 
+function getHostFromOrigin(origin) {
+  try {
+    return new URL(origin).host;
+  } catch (error) {
+    return 'an unknown site';
+  }
+}
+
 // Start
 init();
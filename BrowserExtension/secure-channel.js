@@ -0,0 +1,214 @@
+// DodoPass Browser Extension - Paired Channel
+// The app only answers browsers the user paired it with. Pairing stores a long-lived P-256 key
+// pair here and the app's public key next to it; both sides show a code derived from the shared
+// secret, and the user confirms in the app that they match. Each session then derives its own
+// AES-GCM key, and every request and response is sealed with it.
+
+const PAIRING_STORAGE_KEY = 'pairing';
+const PAIRING_CODE_INFO = 'DodoPass pairing v1';
+const SESSION_KEY_INFO = 'DodoPass session v1';
+
+// Commands the app answers outside a session
+const CHANNEL_PLAINTEXT_COMMANDS = new Set(['hello', 'pair', 'pairStatus', 'openSession']);
+
+const CHANNEL_ERRORS = {
+  notPaired: 'Pair this browser with DodoPass first.'
+};
+
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+function concatBytes(...parts) {
+  const arrays = parts.map(part => new Uint8Array(part));
+  const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+// What the app lists this browser as, e.g. "Google Chrome on macOS"
+function describeBrowser() {
+  const data = globalThis.navigator?.userAgentData;
+  const brand = data?.brands?.find(entry => !/not.?a.?brand|chromium/i.test(entry.brand))?.brand || 'Chromium';
+  return data?.platform ? `${brand} on ${data.platform}` : brand;
+}
+
+// The same six digits DodoPass shows: a hash of the shared secret and both public keys
+async function derivePairingCode(sharedSecret, publicKey, appPublicKey) {
+  const digest = await crypto.subtle.digest('SHA-256', concatBytes(
+    new TextEncoder().encode(PAIRING_CODE_INFO),
+    sharedSecret,
+    publicKey,
+    appPublicKey
+  ));
+  const value = new DataView(digest).getUint32(0) % 1000000;
+  return String(value).padStart(6, '0');
+}
+
+function sessionAdditionalData(sessionId, direction, counter) {
+  return new TextEncoder().encode(`DodoPass v1|${sessionId}|${direction}|${counter}`);
+}
+
+function notPairedError() {
+  const error = new Error(CHANNEL_ERRORS.notPaired);
+  error.notPaired = true;
+  return error;
+}
+
+/**
+ * Creates the paired channel. storage is shaped like chrome.storage.local. Every method that
+ * talks to the app takes send(command, params), which must deliver plaintext commands as they are.
+ * Pairing state lives in storage as { clientId, privateKey (JWK), publicKey, appPublicKey,
+ * approved }; sessions are { id, key, counter } and only live as long as the transport's port.
+ */
+function createPairedChannel({ storage = chrome.storage.local } = {}) {
+  async function load() {
+    const stored = await storage.get(PAIRING_STORAGE_KEY);
+    return stored[PAIRING_STORAGE_KEY] || null;
+  }
+
+  async function save(pairing) {
+    await storage.set({ [PAIRING_STORAGE_KEY]: pairing });
+  }
+
+  async function forget() {
+    await storage.remove(PAIRING_STORAGE_KEY);
+  }
+
+  async function sharedSecretFor(pairing) {
+    const privateKey = await crypto.subtle.importKey('jwk', pairing.privateKey, ECDH_PARAMS, false, ['deriveBits']);
+    const appPublicKey = await crypto.subtle.importKey('raw', base64ToBytes(pairing.appPublicKey), ECDH_PARAMS, false, []);
+    return crypto.subtle.deriveBits({ name: 'ECDH', public: appPublicKey }, privateKey, 256);
+  }
+
+  async function isPaired() {
+    return !!(await load())?.approved;
+  }
+
+  // Asks the app to pair with a fresh key pair and returns the code to show
+  async function startPairing(send) {
+    const keyPair = await crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveBits']);
+    const publicKey = bytesToBase64(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+    const clientId = crypto.randomUUID();
+
+    const response = await send('pair', { clientId, name: describeBrowser(), publicKey });
+    if (!response.success) {
+      return response;
+    }
+
+    const pairing = {
+      clientId,
+      privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey),
+      publicKey,
+      appPublicKey: response.data.publicKey,
+      approved: false
+    };
+    const code = await derivePairingCode(
+      await sharedSecretFor(pairing),
+      base64ToBytes(publicKey),
+      base64ToBytes(pairing.appPublicKey)
+    );
+
+    await save(pairing);
+    return { success: true, data: { code } };
+  }
+
+  // 'pending', 'approved', 'rejected' or 'unknown' (the app forgot the request)
+  async function checkPairing(send) {
+    const pairing = await load();
+    if (!pairing) {
+      return { success: true, data: { status: 'unknown' } };
+    }
+    if (pairing.approved) {
+      return { success: true, data: { status: 'approved' } };
+    }
+
+    const response = await send('pairStatus', { clientId: pairing.clientId });
+    if (!response.success) {
+      return response;
+    }
+
+    const { status } = response.data;
+    if (status === 'approved') {
+      await save({ ...pairing, approved: true });
+    } else if (status !== 'pending') {
+      await forget();
+    }
+    return { success: true, data: { status } };
+  }
+
+  // Throws an error with notPaired set when the app doesn't know this browser (anymore)
+  async function openSession(send) {
+    const pairing = await load();
+    if (!pairing?.approved) {
+      throw notPairedError();
+    }
+
+    const nonce = crypto.getRandomValues(new Uint8Array(32));
+    const response = await send('openSession', { clientId: pairing.clientId, nonce: bytesToBase64(nonce) });
+    if (!response.success) {
+      if (/not paired/i.test(response.error || '')) {
+        await forget();
+        throw notPairedError();
+      }
+      throw new Error(response.error || 'Could not open a session');
+    }
+
+    const sharedSecret = await crypto.subtle.importKey('raw', await sharedSecretFor(pairing), 'HKDF', false, ['deriveKey']);
+    const key = await crypto.subtle.deriveKey(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: concatBytes(nonce, base64ToBytes(response.data.nonce)),
+        info: new TextEncoder().encode(SESSION_KEY_INFO)
+      },
+      sharedSecret,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+
+    return { id: response.data.sessionId, key, counter: 0 };
+  }
+
+  // The params of a 'secure' command carrying message; takes the session's next counter
+  async function seal(session, message) {
+    const counter = ++session.counter;
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: sessionAdditionalData(session.id, 'request', counter) },
+      session.key,
+      new TextEncoder().encode(JSON.stringify(message))
+    );
+    return { sessionId: session.id, counter, iv: bytesToBase64(iv), ciphertext: bytesToBase64(ciphertext) };
+  }
+
+  // The app's response inside a 'secure' response; throws if it wasn't sealed for this request
+  async function unseal(session, counter, data) {
+    if (data?.counter !== counter) {
+      throw new Error('Response does not match the request');
+    }
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(data.iv), additionalData: sessionAdditionalData(session.id, 'response', counter) },
+      session.key,
+      base64ToBytes(data.ciphertext)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  return { isPaired, startPairing, checkPairing, openSession, seal, unseal, forget };
+}
@@ -0,0 +1,99 @@
+// DodoPass Browser Extension - Settings
+// Shared by the background worker, content scripts and the options page. Settings live in
+// chrome.storage.sync so they follow the user to their other browsers. Per-site overrides are
+// keyed by site (see getSiteKey in background.js), which content scripts can't compute; they
+// get the settings for their frame from the background worker. Each site has its own storage
+// item, since sync storage caps every item at 8 KB.
+
+const SETTINGS_KEY = 'settings';
+const SITE_SETTINGS_PREFIX = 'site:';
+
+const DEFAULT_SETTINGS = {
+  inlineMenu: true, // Open the dropdown when a login field is focused
+  savePrompts: true, // Offer to save new and changed passwords
+  breachCheck: true, // Look up passwords in known breaches before offering to save them
+  clipboardClearDelay: 30 // Seconds until a copied secret is cleared, 0 to keep it
+};
+
+const DEFAULT_SITE_SETTINGS = {
+  autofill: true, // False: no dropdown on focus, and the fill shortcut opens the popup instead
+  savePrompts: true,
+  itemId: null, // The item the fill shortcut uses, instead of the first match
+  autoSubmit: false, // Sign in after filling any item, not just items set to
+  fillOnPageLoad: false // Fill top-level HTTPS pages with exactly one matching login as they load
+};
+
+const CLIPBOARD_CLEAR_DELAYS = [0, 10, 20, 30, 60, 90, 120];
+
+async function getSettings() {
+  const stored = await chrome.storage.sync.get(SETTINGS_KEY);
+  return { ...DEFAULT_SETTINGS, ...stored[SETTINGS_KEY] };
+}
+
+async function saveSettings(changes) {
+  const settings = { ...(await getSettings()), ...changes };
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+  return settings;
+}
+
+function siteSettingsKey(site) {
+  return SITE_SETTINGS_PREFIX + site;
+}
+
+// site -> overrides, only holding what differs from DEFAULT_SITE_SETTINGS
+async function getAllSiteSettings() {
+  const stored = await chrome.storage.sync.get(null);
+  return Object.fromEntries(
+    Object.entries(stored)
+      .filter(([key]) => key.startsWith(SITE_SETTINGS_PREFIX))
+      .map(([key, overrides]) => [key.slice(SITE_SETTINGS_PREFIX.length), overrides])
+  );
+}
+
+async function getSiteSettings(site) {
+  const key = siteSettingsKey(site);
+  const stored = await chrome.storage.sync.get(key);
+  return { ...DEFAULT_SITE_SETTINGS, ...stored[key] };
+}
+
+// A site whose settings are all back to the defaults is dropped from the list
+async function saveSiteSettings(site, changes) {
+  const merged = { ...(await getSiteSettings(site)), ...changes };
+  const overrides = Object.fromEntries(
+    Object.entries(merged).filter(([key, value]) => value !== DEFAULT_SITE_SETTINGS[key])
+  );
+
+  if (Object.keys(overrides).length > 0) {
+    await chrome.storage.sync.set({ [siteSettingsKey(site)]: overrides });
+  } else {
+    await chrome.storage.sync.remove(siteSettingsKey(site));
+  }
+  return { ...DEFAULT_SITE_SETTINGS, ...overrides };
+}
+
+async function removeSiteSettings(site) {
+  await chrome.storage.sync.remove(siteSettingsKey(site));
+}
+
+// What applies on a page: the global settings with the site's overrides applied
+function effectiveSettings(settings, siteSettings) {
+  return {
+    ...settings,
+    inlineMenu: settings.inlineMenu && siteSettings.autofill,
+    autofill: siteSettings.autofill,
+    savePrompts: settings.savePrompts && siteSettings.savePrompts,
+    itemId: siteSettings.itemId,
+    autoSubmit: siteSettings.autoSubmit,
+    fillOnPageLoad: siteSettings.autofill && siteSettings.fillOnPageLoad
+  };
+}
+
+// Calls callback() whenever the settings change, here or in another of the user's browsers
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    const keys = Object.keys(changes);
+    if (area === 'sync' && keys.some(key => key === SETTINGS_KEY || key.startsWith(SITE_SETTINGS_PREFIX))) {
+      callback();
+    }
+  });
+}
@@ -0,0 +1,172 @@
+// DodoPass Browser Extension - TOTP Countdown
+// Shared by the popup and the inline dropdown: shows each item's current code with a ring
+// counting down to the end of its period.
+
+const TOTP_RING_RADIUS = 7;
+const TOTP_RING_CIRCUMFERENCE = 2 * Math.PI * TOTP_RING_RADIUS;
+const TOTP_EXPIRING_SECONDS = 5;
+
+// classPrefix keeps the page's styles and ours apart ('dodopass-' in content scripts)
+function createTotpDisplay(classPrefix = '') {
+  const display = document.createElement('span');
+  display.className = `${classPrefix}totp-countdown`;
+
+  const codeEl = document.createElement('span');
+  codeEl.className = `${classPrefix}totp-code`;
+  codeEl.textContent = '··· ···';
+
+  const ns = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(ns, 'svg');
+  svg.setAttribute('class', `${classPrefix}totp-ring`);
+  svg.setAttribute('width', '18');
+  svg.setAttribute('height', '18');
+  svg.setAttribute('viewBox', '0 0 18 18');
+
+  const track = document.createElementNS(ns, 'circle');
+  track.setAttribute('class', `${classPrefix}totp-ring-track`);
+  const progress = document.createElementNS(ns, 'circle');
+  progress.setAttribute('class', `${classPrefix}totp-ring-progress`);
+  progress.setAttribute('stroke-dasharray', TOTP_RING_CIRCUMFERENCE.toFixed(2));
+  // Start at twelve o'clock
+  progress.setAttribute('transform', 'rotate(-90 9 9)');
+
+  for (const circle of [track, progress]) {
+    circle.setAttribute('cx', '9');
+    circle.setAttribute('cy', '9');
+    circle.setAttribute('r', String(TOTP_RING_RADIUS));
+    svg.appendChild(circle);
+  }
+
+  display.appendChild(codeEl);
+  display.appendChild(svg);
+  return display;
+}
+
+// Pass null to show that no code is available
+function updateTotpDisplay(display, state) {
+  const codeEl = display.firstChild;
+  const progress = display.querySelector('circle:last-child');
+
+  if (!state) {
+    codeEl.textContent = '––– –––';
+    progress.setAttribute('stroke-dashoffset', TOTP_RING_CIRCUMFERENCE.toFixed(2));
+    display.title = 'Code unavailable';
+    return;
+  }
+
+  const { code, remaining, period } = state;
+  codeEl.textContent = formatTotpCode(code);
+  progress.setAttribute('stroke-dashoffset', (TOTP_RING_CIRCUMFERENCE * (1 - remaining / period)).toFixed(2));
+  display.classList.toggle('expiring', remaining <= TOTP_EXPIRING_SECONDS);
+  display.title = `${remaining}s remaining`;
+}
+
+function formatTotpCode(code) {
+  if (code.length === 6 || code.length === 8) {
+    const half = code.length / 2;
+    return `${code.slice(0, half)} ${code.slice(half)}`;
+  }
+  return code;
+}
+
+/**
+ * Keeps the tracked displays current with one timer.
+ * Codes are fetched once per period and counted down locally; a display is
+ * dropped once it leaves the document. fetchCode(itemId) resolves to the
+ * getTOTP response, onLocked is called when the vault turns out to be locked.
+ */
+function createTotpTicker({ fetchCode, onLocked = () => {} }) {
+  const codes = new Map();
+  let displays = [];
+  let interval = null;
+
+  function render(itemId, display) {
+    const entry = codes.get(itemId);
+    if (!entry || entry.unavailable) {
+      updateTotpDisplay(display, null);
+      return;
+    }
+    if (!entry.code) return;
+
+    const remaining = Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+    updateTotpDisplay(display, { code: entry.code, remaining, period: entry.period });
+  }
+
+  function renderItem(itemId) {
+    for (const tracked of displays) {
+      if (tracked.itemId === itemId) render(itemId, tracked.display);
+    }
+  }
+
+  async function refresh(itemId) {
+    const entry = codes.get(itemId) || {};
+    if (entry.refreshing) return;
+    codes.set(itemId, { ...entry, refreshing: true });
+
+    let response = null;
+    try {
+      response = await fetchCode(itemId);
+    } catch (error) {
+      // Shown as unavailable below
+    }
+
+    // Stopped while the request was in flight
+    if (!codes.has(itemId)) return;
+
+    if (!response?.success || !response.data?.code) {
+      codes.set(itemId, { unavailable: true });
+      renderItem(itemId);
+      if (/locked/i.test(response?.error || '')) {
+        stop();
+        onLocked();
+      }
+      return;
+    }
+
+    const { code, remaining, period } = response.data;
+    codes.set(itemId, { code, period, expiresAt: Date.now() + remaining * 1000 });
+    renderItem(itemId);
+  }
+
+  function tick() {
+    displays = displays.filter(tracked => tracked.display.isConnected);
+    if (displays.length === 0) {
+      stop();
+      return;
+    }
+
+    const now = Date.now();
+    for (const itemId of new Set(displays.map(tracked => tracked.itemId))) {
+      const entry = codes.get(itemId);
+      if (entry?.code && now >= entry.expiresAt) {
+        refresh(itemId);
+      } else {
+        renderItem(itemId);
+      }
+    }
+  }
+
+  function track(itemId, display) {
+    displays.push({ itemId, display });
+
+    const entry = codes.get(itemId);
+    if (entry?.code && Date.now() < entry.expiresAt) {
+      render(itemId, display);
+    } else {
+      refresh(itemId);
+    }
+
+    if (!interval) {
+      interval = setInterval(tick, 1000);
+    }
+  }
+
+  function stop() {
+    clearInterval(interval);
+    interval = null;
+    displays = [];
+    codes.clear();
+  }
+
+  return { track, stop };
+}
@@ -0,0 +1,485 @@
+// DodoPass Browser Extension - Native Messaging Transport
+// One port to the native host, reopened with backoff when it drops. Requests that are safe to
+// send twice are replayed after a reconnect; the rest fail so the caller can decide what to do.
+// Every port starts with a hello, so nothing is sent to an app that can't understand it, and
+// with a paired channel everything but the handshake itself travels sealed.
+
+// Protocol spoken with the app. Apps from before the hello handshake count as version 0,
+// version 2 only talks to paired browsers.
+const PROTOCOL_VERSION = 2;
+const MIN_APP_PROTOCOL_VERSION = 2;
+
+// Commands this extension sends: the app's supportedCommands, less 'subscribe', which only the
+// host sends
+const PROTOCOL_COMMANDS = [
+  'hello', 'pair', 'pairStatus', 'openSession', 'secure', 'status', 'search', 'getCredentials', 'getTOTP',
+  'listLogins', 'listForUrl', 'listCards', 'getCard', 'listIdentities', 'getIdentity', 'lock', 'unlock',
+  'saveCredentials', 'updateCredentials', 'addUrl', 'checkExisting', 'listTags', 'checkBreach',
+  'getPasswordStrength', 'recordAutofill'
+];
+
+const PROTOCOL_ERRORS = {
+  appOutdated: 'This version of DodoPass is too old for the browser extension. Please update DodoPass.',
+  extensionOutdated: 'This version of the browser extension is too old for DodoPass. Please update the extension.'
+};
+
+const TRANSPORT_DEFAULT_TIMEOUT = 5000;
+
+// Commands that regularly take longer than the default
+const TRANSPORT_TIMEOUTS = {
+  unlock: 30000, // key derivation
+  checkBreach: 15000, // network lookup
+  saveCredentials: 10000, // vault write
+  updateCredentials: 10000,
+  addUrl: 10000
+};
+
+// Commands that change the vault or carry the master password are never sent twice
+const TRANSPORT_NON_REPLAYABLE = new Set(['unlock', 'saveCredentials', 'updateCredentials', 'addUrl']);
+
+const TRANSPORT_BACKOFF_INITIAL = 500;
+const TRANSPORT_BACKOFF_MAX = 30000;
+
+// Pings find a host that stopped answering; the open port itself keeps the service worker alive
+const TRANSPORT_HEARTBEAT_INTERVAL = 20000;
+
+// Whether the two protocol versions can work together: 'ok', 'appOutdated' or 'extensionOutdated'
+function checkProtocolCompatibility(app) {
+  if (app.protocolVersion < MIN_APP_PROTOCOL_VERSION) {
+    return 'appOutdated';
+  }
+  if (PROTOCOL_VERSION < (app.minProtocolVersion ?? 0)) {
+    return 'extensionOutdated';
+  }
+  return 'ok';
+}
+
+/**
+ * Creates the transport. connect() returns a port shaped like chrome.runtime.Port
+ * (postMessage, disconnect, onMessage and onDisconnect), so a fake host can stand in for
+ * the real one. onStateChange(state) is called with
+ * { status, appAvailable, error, retryAt, compatibility, appVersion, commands, paired }:
+ * status is 'connecting', 'connected' or 'disconnected', appAvailable tells whether the host
+ * could reach the app on its last ping, retryAt is when the next reconnect is due. The rest
+ * comes from the app's hello: compatibility as checkProtocolCompatibility returns it, and the
+ * commands the app supports. Requests the app can't serve resolve to a failed response with
+ * incompatible or unsupported set instead of being sent.
+ *
+ * With a channel (see createPairedChannel), each port also opens a session after the hello, and
+ * every command outside CHANNEL_PLAINTEXT_COMMANDS is sealed into a 'secure' one. state.paired
+ * says whether the app accepted this browser; while it doesn't, those requests resolve to a
+ * failed response with notPaired set. Call resetChannel() once pairing changes.
+ *
+ * Messages the host pushes without a requestId go to onEvent(event): 'locked', 'unlocked' and
+ * 'itemsChanged' from the app, and 'appStopped' from the host when the app goes away. They are
+ * hints to ask again, not answers.
+ */
+function createNativeTransport({
+  connect,
+  channel = null,
+  timeouts = TRANSPORT_TIMEOUTS,
+  defaultTimeout = TRANSPORT_DEFAULT_TIMEOUT,
+  heartbeatInterval = TRANSPORT_HEARTBEAT_INTERVAL,
+  backoffInitial = TRANSPORT_BACKOFF_INITIAL,
+  backoffMax = TRANSPORT_BACKOFF_MAX,
+  onStateChange = () => {},
+  onEvent = () => {}
+}) {
+  let port = null;
+  let state = {
+    status: 'disconnected',
+    appAvailable: null,
+    error: null,
+    retryAt: null,
+    compatibility: null,
+    appVersion: null,
+    commands: null,
+    paired: null
+  };
+  let nextRequestId = 0;
+  let backoff = backoffInitial;
+  let retryTimer = null;
+  let heartbeatTimer = null;
+  let session = null; // The app's hello on the current port
+  let handshake = null; // Hello or session opening in flight
+  let handshakeError = null; // Why the last one failed
+  let secure = null; // Channel session on the current port
+  let unpaired = false; // The app doesn't know this browser
+  let sealing = Promise.resolve(); // Keeps sealed requests in counter order
+
+  // requestId -> { message, resolve, reject, timer, sent, direct, sealed }, in send order for replays
+  const requests = new Map();
+
+  function setState(changes) {
+    const next = { ...state, ...changes };
+    if (Object.keys(next).every(key => next[key] === state[key])) return;
+    state = next;
+    onStateChange({ ...state });
+  }
+
+  function open() {
+    if (port) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    setState({ status: 'connecting', retryAt: null });
+
+    let opened;
+    try {
+      opened = connect();
+    } catch (error) {
+      handleDisconnect(error.message);
+      return;
+    }
+
+    port = opened;
+    // A replaced port can still deliver events; only the current one counts
+    opened.onMessage.addListener((message) => {
+      if (port === opened) handleMessage(message);
+    });
+    opened.onDisconnect.addListener(() => {
+      if (port === opened) handleDisconnect(globalThis.chrome?.runtime?.lastError?.message);
+    });
+
+    // Messages posted before the host starts are buffered by the port, and the hello's answer
+    // tells us the port works
+    startHeartbeat();
+    flush();
+  }
+
+  // Queued requests go out once the app has said which protocol it speaks
+  async function flush() {
+    const current = port;
+    await shakeHands();
+    if (port !== current) return; // Dropped meanwhile, the next port flushes
+
+    for (const [id, request] of requests) {
+      if (request.sent || request.direct) continue;
+
+      const refusal = refuse(request.message.command);
+      if (refusal) {
+        finish(id, request, { ...refusal, requestId: id, command: request.message.command });
+      } else if (isSealed(request.message.command)) {
+        postSealed(id, request);
+      } else {
+        post(id, request);
+      }
+    }
+  }
+
+  function shakeHands() {
+    if (!port) return Promise.resolve();
+    if (handshake) return handshake;
+    if (session && !needsChannelSession()) return Promise.resolve();
+
+    const current = port;
+    handshake = (async () => {
+      if (!session) await sayHello(current);
+      if (port === current && needsChannelSession()) await openChannelSession(current);
+    })().catch(() => {
+      // Only a request that timed out leaves the port in place: the host is stuck, start over
+      if (port !== current) return;
+      current.disconnect();
+      handleDisconnect('Native host stopped responding');
+    }).finally(() => {
+      handshake = null;
+    });
+
+    return handshake;
+  }
+
+  async function sayHello(current) {
+    const response = await send('hello', {
+      protocolVersion: PROTOCOL_VERSION,
+      minProtocolVersion: MIN_APP_PROTOCOL_VERSION,
+      commands: PROTOCOL_COMMANDS
+    }, { direct: true });
+    if (port !== current) return;
+
+    if (response.success) {
+      startSession(response.data);
+    } else if (/unknown command/i.test(response.error || '')) {
+      // An app from before the hello, too old to serve anything
+      startSession({ protocolVersion: 0 });
+    } else {
+      // The host can't reach the app yet: requests fail on their own, and the next one asks again
+      handshakeError = response.error;
+    }
+  }
+
+  function needsChannelSession() {
+    return !!channel && !secure && !unpaired && session?.compatibility === 'ok';
+  }
+
+  async function openChannelSession(current) {
+    try {
+      const opened = await channel.openSession((command, params) => send(command, params, { direct: true }));
+      if (port !== current) return;
+      secure = opened;
+      handshakeError = null;
+      setState({ paired: true });
+    } catch (error) {
+      if (port !== current) return;
+      if (error.notPaired) {
+        unpaired = true;
+        setState({ paired: false });
+      } else if (/timed out|cannot connect/i.test(error.message)) {
+        throw error;
+      } else {
+        handshakeError = error.message;
+      }
+    }
+  }
+
+  function isSealed(command) {
+    return !!channel && !CHANNEL_PLAINTEXT_COMMANDS.has(command);
+  }
+
+  function startSession(app) {
+    session = {
+      compatibility: checkProtocolCompatibility(app),
+      commands: new Set(app.commands || [])
+    };
+    setState({
+      compatibility: session.compatibility,
+      appVersion: app.appVersion || null,
+      commands: [...session.commands]
+    });
+  }
+
+  // The response for a request the app can't serve, or null to send it
+  function refuse(command) {
+    if (session?.compatibility && session.compatibility !== 'ok') {
+      return { success: false, incompatible: session.compatibility, error: PROTOCOL_ERRORS[session.compatibility] };
+    }
+    if (session && !session.commands.has(command)) {
+      return { success: false, unsupported: true, error: 'This version of DodoPass does not support this' };
+    }
+    // Nothing goes out unsealed, not even to a host that can't reach the app
+    if (isSealed(command) && !secure) {
+      return unpaired
+        ? { success: false, notPaired: true, error: CHANNEL_ERRORS.notPaired }
+        : { success: false, error: handshakeError || 'Cannot connect to DodoPass. Is the app running?' };
+    }
+    return null;
+  }
+
+  function supports(command) {
+    return !!session && session.compatibility === 'ok' && session.commands.has(command);
+  }
+
+  function post(id, request) {
+    request.sent = true;
+    try {
+      port.postMessage(request.message);
+    } catch (error) {
+      // The port died under us; onDisconnect replays or rejects it
+      request.sent = false;
+    }
+  }
+
+  // Sealing is async, so requests queue up to get their counters and reach the app in that order
+  function postSealed(id, request) {
+    const current = port;
+    const opened = secure;
+    request.sent = true;
+
+    sealing = sealing.then(async () => {
+      const params = await channel.seal(opened, request.message);
+      // Dropped or timed out meanwhile; the skipped counter doesn't matter, it only has to grow
+      if (port !== current || requests.get(id) !== request || !request.sent) return;
+      request.sealed = { session: opened, counter: params.counter };
+      port.postMessage({ requestId: id, command: 'secure', params });
+    }).catch(() => {
+      // The port died under us; onDisconnect replays or rejects it
+      request.sent = false;
+      request.sealed = null;
+    });
+  }
+
+  async function receiveSealed(id, request, response) {
+    const { session: opened, counter } = request.sealed;
+
+    if (!response.success) {
+      if (/unknown session/i.test(response.error || '')) {
+        // The app restarted or dropped the session before reading the request: send it again
+        // in a new one
+        if (secure === opened) secure = null;
+        request.sent = false;
+        request.sealed = null;
+        flush();
+        return;
+      }
+      if (/not paired/i.test(response.error || '')) {
+        if (secure === opened) secure = null;
+        unpaired = true;
+        setState({ paired: false });
+        await channel.forget();
+        finish(id, request, { success: false, notPaired: true, error: CHANNEL_ERRORS.notPaired, requestId: id });
+        return;
+      }
+      // Failed before reaching the app, e.g. because it isn't running
+      finish(id, request, { ...response, command: request.message.command });
+      return;
+    }
+
+    try {
+      const inner = await channel.unseal(opened, counter, response.data);
+      finish(id, request, { ...inner, requestId: id });
+    } catch (error) {
+      clearTimeout(request.timer);
+      requests.delete(id);
+      request.reject(new Error('Could not read the response from DodoPass'));
+    }
+  }
+
+  function finish(id, request, response) {
+    clearTimeout(request.timer);
+    requests.delete(id);
+    request.resolve(response);
+  }
+
+  function handleMessage(response) {
+    backoff = backoffInitial;
+
+    if (response?.event) {
+      setState({ status: 'connected', appAvailable: response.event !== 'appStopped', error: null });
+      onEvent(response.event);
+      return;
+    }
+
+    // Anything from the host proves the port works; the host reports when it can't reach the app
+    setState({
+      status: 'connected',
+      appAvailable: !/is not running/i.test(response?.error || ''),
+      error: null
+    });
+
+    const request = requests.get(response?.requestId);
+    if (!request) return;
+
+    if (request.sealed) {
+      receiveSealed(response.requestId, request, response);
+    } else {
+      finish(response.requestId, request, response);
+    }
+  }
+
+  function handleDisconnect(error) {
+    port = null;
+    session = null;
+    secure = null;
+    unpaired = false;
+    handshakeError = null;
+    stopHeartbeat();
+
+    for (const [id, request] of requests) {
+      // The next port says hello again by itself
+      if (request.direct || (request.sent && TRANSPORT_NON_REPLAYABLE.has(request.message.command))) {
+        clearTimeout(request.timer);
+        requests.delete(id);
+        request.reject(new Error('Native host disconnected'));
+      } else {
+        request.sent = false;
+        request.sealed = null;
+      }
+    }
+
+    const delay = backoff;
+    backoff = Math.min(backoff * 2, backoffMax);
+    retryTimer = setTimeout(open, delay);
+    setState({ status: 'disconnected', error: error || 'Native host disconnected', retryAt: Date.now() + delay });
+  }
+
+  // direct skips the queue, for the handshake itself
+  function send(command, params = {}, { timeout, direct = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const id = ++nextRequestId;
+      const request = {
+        message: { requestId: id, command, params },
+        resolve,
+        reject,
+        direct,
+        sent: false
+      };
+
+      request.timer = setTimeout(() => {
+        if (!requests.has(id)) return;
+        requests.delete(id);
+        reject(new Error(state.status === 'connected'
+          ? 'Request timed out'
+          : 'Cannot connect to DodoPass. Is the app running?'));
+      }, timeout ?? timeouts[command] ?? defaultTimeout);
+
+      requests.set(id, request);
+
+      // A request is worth connecting for now, whatever the backoff says
+      if (!port) {
+        open();
+      } else if (direct) {
+        post(id, request);
+      } else {
+        flush();
+      }
+    });
+  }
+
+  // Pings only while idle: the host answers one request at a time, so a ping queued behind
+  // a slow unlock would look like a dead host
+  function startHeartbeat() {
+    stopHeartbeat();
+    heartbeatTimer = setInterval(async () => {
+      if (!port || requests.size > 0) return;
+
+      const pinged = port;
+      try {
+        await send('status');
+      } catch (error) {
+        if (port !== pinged) return;
+        pinged.disconnect();
+        handleDisconnect('Native host stopped responding');
+      }
+    }, heartbeatInterval);
+  }
+
+  function stopHeartbeat() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+
+  // Drop the port for good and fail everything still waiting
+  function close() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    stopHeartbeat();
+    session = null;
+    secure = null;
+    unpaired = false;
+    if (port) {
+      const closing = port;
+      port = null;
+      closing.disconnect();
+    }
+    for (const request of requests.values()) {
+      clearTimeout(request.timer);
+      request.reject(new Error('Transport closed'));
+    }
+    requests.clear();
+    setState({ status: 'disconnected', error: null, retryAt: null });
+  }
+
+  // Pairing changed: the next request opens a new session, or finds out it can't
+  function resetChannel() {
+    secure = null;
+    unpaired = false;
+    handshakeError = null;
+  }
+
+  return {
+    send,
+    supports,
+    resetChannel,
+    connect: open,
+    close,
+    getState: () => ({ ...state })
+  };
+}
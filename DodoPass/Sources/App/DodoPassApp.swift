@@ -73,6 +73,7 @@ struct DodoPassApp: App {
 
 struct ContentView: View {
     @EnvironmentObject var vaultManager: VaultManager
+    @StateObject private var pairingManager = BrowserPairingManager.shared
     @State private var showOnboarding = false
 
     var body: some View {
@@ -88,6 +89,23 @@ struct ContentView: View {
         .overlay(alignment: .top) {
             ToastContainerView()
         }
+        .alert("Pair browser?", isPresented: .init(
+            get: { pairingManager.pendingPairing != nil },
+            set: { if !$0 { pairingManager.rejectPendingPairing() } }
+        )) {
+            Button("Pair") { pairingManager.approvePendingPairing() }
+            Button("Don't Pair", role: .cancel) { pairingManager.rejectPendingPairing() }
+        } message: {
+            if let pending = pairingManager.pendingPairing {
+                Text("\(pending.name) wants to fill passwords from DodoPass. Only pair if the browser shows the code \(pending.displayCode).")
+            }
+        }
+        .onChange(of: pairingManager.pendingPairing?.id) { _, id in
+            // The request comes from the browser, so DodoPass is usually in the background
+            if id != nil {
+                NSApp.activate(ignoringOtherApps: true)
+            }
+        }
     }
 }
 
@@ -0,0 +1,351 @@
+import CryptoKit
+import Foundation
+import Security
+
+/// A browser extension install the user allowed to talk to DodoPass.
+struct PairedBrowser: Codable, Identifiable, Equatable {
+    /// Client ID chosen by the extension when it asked to pair.
+    let id: String
+    let name: String
+    /// The extension's P-256 key agreement key, X9.63 encoded.
+    let publicKey: Data
+    let pairedAt: Date
+    var lastSeenAt: Date?
+}
+
+/// A pairing request waiting for the user to compare codes.
+struct PendingPairing: Identifiable, Equatable {
+    let id: String
+    let name: String
+    let publicKey: Data
+    let code: String
+    let requestedAt: Date
+
+    /// The code as the extension shows it, e.g. "123 456".
+    var displayCode: String {
+        "\(code.prefix(3)) \(code.suffix(3))"
+    }
+}
+
+/// Pairs browser extensions with the app and encrypts the traffic of paired ones.
+///
+/// Both sides keep a long-lived P-256 key pair. When an extension asks to pair, both derive a
+/// six-digit code from the shared secret, and the user confirms that the app shows the same
+/// code as the browser. Each session then derives a fresh AES-GCM key from the shared secret
+/// and nonces from both sides; every request and response is sealed with it and bound to the
+/// session, its direction and a counter that only goes up.
+@MainActor
+final class BrowserPairingManager: ObservableObject {
+    // MARK: - Singleton
+
+    static let shared = BrowserPairingManager()
+
+    // MARK: - Types
+
+    enum PairingError: LocalizedError {
+        case notPaired
+        case unknownSession
+        case invalidKey
+        case invalidEnvelope
+        case replayedMessage
+        case randomGenerationFailed
+
+        var errorDescription: String? {
+            switch self {
+            case .notPaired:
+                return "This browser is not paired with DodoPass"
+            case .unknownSession:
+                return "Unknown session"
+            case .invalidKey:
+                return "Invalid public key"
+            case .invalidEnvelope:
+                return "Message could not be authenticated"
+            case .replayedMessage:
+                return "Message was already received"
+            case .randomGenerationFailed:
+                return "Failed to generate random bytes"
+            }
+        }
+    }
+
+    enum PairingStatus: String {
+        case pending
+        case approved
+        case rejected
+        case unknown
+    }
+
+    private struct Session {
+        let clientId: String
+        let key: SymmetricKey
+        var lastCounter: Int
+        var lastUsedAt: Date
+    }
+
+    // MARK: - Constants
+
+    static let pairingInfo = Data("DodoPass pairing v1".utf8)
+    static let sessionInfo = Data("DodoPass session v1".utf8)
+
+    private static let appKeyAccount = "browser-pairing-key"
+    private static let pairedBrowsersAccount = "paired-browsers"
+
+    /// How long a pairing request waits for the user.
+    private static let pairingTimeout: TimeInterval = 120
+
+    /// Idle sessions are dropped; the extension opens a new one.
+    private static let sessionIdleTimeout: TimeInterval = 3600
+
+    // MARK: - Published State
+
+    @Published private(set) var pairedBrowsers: [PairedBrowser] = []
+    @Published private(set) var pendingPairing: PendingPairing?
+
+    // MARK: - Private State
+
+    private let keychainService = KeychainService()
+    private lazy var appKey: P256.KeyAgreement.PrivateKey = loadAppKey()
+    private var sessions: [String: Session] = [:]
+
+    // Declined requests, until the extension has heard about it
+    private var rejectedClients: Set<String> = []
+
+    // MARK: - Initialization
+
+    private init() {
+        loadPairedBrowsers()
+    }
+
+    // MARK: - Pairing
+
+    /// Starts pairing a browser and returns the app's public key.
+    /// The request waits in `pendingPairing` until the user approves or rejects it.
+    func requestPairing(clientId: String, name: String, publicKey: Data) throws -> Data {
+        guard let browserKey = try? P256.KeyAgreement.PublicKey(x963Representation: publicKey) else {
+            throw PairingError.invalidKey
+        }
+
+        let appPublicKey = appKey.publicKey.x963Representation
+        let sharedSecret = try appKey.sharedSecretFromKeyAgreement(with: browserKey)
+
+        rejectedClients.remove(clientId)
+        pendingPairing = PendingPairing(
+            id: clientId,
+            name: name,
+            publicKey: publicKey,
+            code: Self.pairingCode(sharedSecret: sharedSecret, browserKey: publicKey, appKey: appPublicKey),
+            requestedAt: Date()
+        )
+
+        AuditLogger.shared.log("Browser pairing requested by \(name)", category: .security)
+        return appPublicKey
+    }
+
+    /// Where the pairing request of a client stands.
+    func pairingStatus(for clientId: String) -> PairingStatus {
+        if let pending = pendingPairing, pending.id == clientId {
+            if Date().timeIntervalSince(pending.requestedAt) < Self.pairingTimeout {
+                return .pending
+            }
+            pendingPairing = nil
+            return .rejected
+        }
+
+        if pairedBrowsers.contains(where: { $0.id == clientId }) {
+            return .approved
+        }
+
+        return rejectedClients.remove(clientId) != nil ? .rejected : .unknown
+    }
+
+    /// Pairs the browser that is waiting for the user.
+    func approvePendingPairing() {
+        guard let pending = pendingPairing else { return }
+
+        pairedBrowsers.removeAll { $0.id == pending.id }
+        pairedBrowsers.append(PairedBrowser(
+            id: pending.id,
+            name: pending.name,
+            publicKey: pending.publicKey,
+            pairedAt: Date(),
+            lastSeenAt: nil
+        ))
+        savePairedBrowsers()
+        pendingPairing = nil
+
+        AuditLogger.shared.log("Paired browser \(pending.name)", category: .security)
+    }
+
+    /// Turns down the browser that is waiting for the user.
+    func rejectPendingPairing() {
+        guard let pending = pendingPairing else { return }
+
+        rejectedClients.insert(pending.id)
+        pendingPairing = nil
+
+        AuditLogger.shared.log("Declined pairing with \(pending.name)", category: .security)
+    }
+
+    /// Removes a paired browser and ends its sessions. It has to pair again to connect.
+    func revoke(_ browser: PairedBrowser) {
+        pairedBrowsers.removeAll { $0.id == browser.id }
+        sessions = sessions.filter { $0.value.clientId != browser.id }
+        savePairedBrowsers()
+
+        AuditLogger.shared.log("Revoked browser \(browser.name)", category: .security)
+    }
+
+    /// The code both sides show while pairing: six digits from a hash of the shared secret and
+    /// both public keys, so a key swapped in transit shows a different code.
+    static func pairingCode(sharedSecret: SharedSecret, browserKey: Data, appKey: Data) -> String {
+        var hasher = SHA256()
+        hasher.update(data: pairingInfo)
+        sharedSecret.withUnsafeBytes { hasher.update(bufferPointer: $0) }
+        hasher.update(data: browserKey)
+        hasher.update(data: appKey)
+
+        let digest = Array(hasher.finalize())
+        let value = digest.prefix(4).reduce(UInt32(0)) { $0 << 8 | UInt32($1) }
+        return String(format: "%06d", value % 1_000_000)
+    }
+
+    // MARK: - Sessions
+
+    /// Opens a session for a paired browser and returns its ID and the app's nonce.
+    func openSession(clientId: String, clientNonce: Data) throws -> (sessionId: String, nonce: Data) {
+        guard let index = pairedBrowsers.firstIndex(where: { $0.id == clientId }) else {
+            throw PairingError.notPaired
+        }
+        guard clientNonce.count >= 16 else {
+            throw PairingError.invalidEnvelope
+        }
+
+        let browserKey = try P256.KeyAgreement.PublicKey(x963Representation: pairedBrowsers[index].publicKey)
+        let sharedSecret = try appKey.sharedSecretFromKeyAgreement(with: browserKey)
+        let nonce = try Self.randomBytes(count: 32)
+        let key = sharedSecret.hkdfDerivedSymmetricKey(
+            using: SHA256.self,
+            salt: clientNonce + nonce,
+            sharedInfo: Self.sessionInfo,
+            outputByteCount: 32
+        )
+
+        pruneSessions()
+        let sessionId = UUID().uuidString
+        sessions[sessionId] = Session(clientId: clientId, key: key, lastCounter: 0, lastUsedAt: Date())
+
+        pairedBrowsers[index].lastSeenAt = Date()
+        savePairedBrowsers()
+
+        return (sessionId, nonce)
+    }
+
+    /// Whether the session is open, not idle for too long, and its browser still paired.
+    func hasSession(_ sessionId: String) -> Bool {
+        guard let session = sessions[sessionId],
+              Date().timeIntervalSince(session.lastUsedAt) < Self.sessionIdleTimeout else {
+            return false
+        }
+        return pairedBrowsers.contains { $0.id == session.clientId }
+    }
+
+    /// Decrypts a request sealed by the extension.
+    func open(sessionId: String, counter: Int, iv: Data, ciphertext: Data) throws -> Data {
+        guard var session = sessions[sessionId] else {
+            throw PairingError.unknownSession
+        }
+        guard pairedBrowsers.contains(where: { $0.id == session.clientId }) else {
+            sessions[sessionId] = nil
+            throw PairingError.notPaired
+        }
+        guard counter > session.lastCounter else {
+            throw PairingError.replayedMessage
+        }
+        guard ciphertext.count >= 16, let nonce = try? AES.GCM.Nonce(data: iv) else {
+            throw PairingError.invalidEnvelope
+        }
+
+        let plaintext: Data
+        do {
+            let box = try AES.GCM.SealedBox(nonce: nonce, ciphertext: ciphertext.dropLast(16), tag: ciphertext.suffix(16))
+            plaintext = try AES.GCM.open(
+                box,
+                using: session.key,
+                authenticating: Self.additionalData(sessionId: sessionId, direction: "request", counter: counter)
+            )
+        } catch {
+            throw PairingError.invalidEnvelope
+        }
+
+        session.lastCounter = counter
+        session.lastUsedAt = Date()
+        sessions[sessionId] = session
+        return plaintext
+    }
+
+    /// Encrypts the response to the request with the same counter.
+    func seal(_ plaintext: Data, sessionId: String, counter: Int) throws -> (iv: Data, ciphertext: Data) {
+        guard let session = sessions[sessionId] else {
+            throw PairingError.unknownSession
+        }
+
+        let box = try AES.GCM.seal(
+            plaintext,
+            using: session.key,
+            authenticating: Self.additionalData(sessionId: sessionId, direction: "response", counter: counter)
+        )
+        return (Data(box.nonce), box.ciphertext + box.tag)
+    }
+
+    static func additionalData(sessionId: String, direction: String, counter: Int) -> Data {
+        Data("DodoPass v1|\(sessionId)|\(direction)|\(counter)".utf8)
+    }
+
+    private func pruneSessions() {
+        let now = Date()
+        sessions = sessions.filter { now.timeIntervalSince($0.value.lastUsedAt) < Self.sessionIdleTimeout }
+    }
+
+    private static func randomBytes(count: Int) throws -> Data {
+        var bytes = [UInt8](repeating: 0, count: count)
+        guard SecRandomCopyBytes(kSecRandomDefault, bytes.count, &bytes) == errSecSuccess else {
+            throw PairingError.randomGenerationFailed
+        }
+        return Data(bytes)
+    }
+
+    // MARK: - Persistence
+
+    // Both live in the Keychain: anyone who could add a key to the paired list could read the vault
+    private func loadAppKey() -> P256.KeyAgreement.PrivateKey {
+        if let data = try? keychainService.retrieve(forAccount: Self.appKeyAccount),
+           let key = try? P256.KeyAgreement.PrivateKey(rawRepresentation: data) {
+            return key
+        }
+
+        let key = P256.KeyAgreement.PrivateKey()
+        do {
+            try keychainService.store(key.rawRepresentation, forAccount: Self.appKeyAccount)
+        } catch {
+            AuditLogger.shared.log("Failed to store browser pairing key: \(error.localizedDescription)", category: .security, level: .error)
+        }
+        return key
+    }
+
+    private func loadPairedBrowsers() {
+        guard let data = try? keychainService.retrieve(forAccount: Self.pairedBrowsersAccount),
+              let browsers = try? JSONDecoder().decode([PairedBrowser].self, from: data) else {
+            return
+        }
+        pairedBrowsers = browsers
+    }
+
+    private func savePairedBrowsers() {
+        do {
+            let data = try JSONEncoder().encode(pairedBrowsers)
+            try keychainService.store(data, forAccount: Self.pairedBrowsersAccount)
+        } catch {
+            AuditLogger.shared.log("Failed to save paired browsers: \(error.localizedDescription)", category: .security, level: .error)
+        }
+    }
+}
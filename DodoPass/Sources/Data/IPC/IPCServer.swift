@@ -1,3 +1,4 @@
+import Combine
 import Foundation
 
 /// IPC Server for browser extension communication via Unix socket.
@@ -6,12 +7,37 @@ final class IPCServer: ObservableObject {
 
     static let shared = IPCServer()
 
+    // MARK: - Protocol
+
+    /// Version of the message protocol, exchanged with the extension in `hello`.
+    /// Version 2 only serves paired browsers, over an encrypted session.
+    static let protocolVersion = 2
+
+    /// Oldest extension protocol version this app still serves.
+    static let minimumClientProtocolVersion = 2
+
+    /// Commands handled by `processMessage`, announced in `hello`.
+    static let supportedCommands = [
+        "hello", "pair", "pairStatus", "openSession", "secure", "subscribe", "status", "search", "getCredentials",
+        "getTOTP", "listLogins", "listForUrl", "listCards", "getCard", "listIdentities", "getIdentity",
+        "lock", "unlock", "saveCredentials", "updateCredentials", "addUrl", "checkExisting",
+        "listTags", "checkBreach", "getPasswordStrength", "recordAutofill"
+    ]
+
     // MARK: - Properties
 
     private var serverSocket: Int32 = -1
     private let socketPath = "/tmp/dodopass.sock"
+
+    /// Hosts take at most 1 MB from the browser, and the request they pass on is about as large.
+    private static let maximumRequestSize = 2 * 1024 * 1024
     private let acceptQueue = DispatchQueue(label: "com.dodopass.ipc.accept", qos: .userInitiated)
     private let clientQueue = DispatchQueue(label: "com.dodopass.ipc.client", qos: .userInitiated, attributes: .concurrent)
+    private let subscriberQueue = DispatchQueue(label: "com.dodopass.ipc.subscribers", qos: .userInitiated)
+
+    // Connections from hosts waiting for events, only touched on subscriberQueue
+    private var subscribers: [Int32] = []
+    private var cancellables = Set<AnyCancellable>()
 
     @Published private(set) var isRunning = false
 
@@ -73,6 +99,10 @@ final class IPCServer: ObservableObject {
         acceptQueue.async { [weak self] in
             self?.acceptLoop(sockfd: sockfd)
         }
+
+        Task { @MainActor [weak self] in
+            self?.observeVault()
+        }
     }
 
     private func acceptLoop(sockfd: Int32) {
@@ -96,17 +126,15 @@ final class IPCServer: ObservableObject {
     }
 
     private func handleClient(fd: Int32) {
-        // Read data
-        var buffer = [UInt8](repeating: 0, count: 65536)
-        let bytesRead = read(fd, &buffer, buffer.count)
+        // A host that quits before its response arrives must not raise SIGPIPE
+        var noSigPipe: Int32 = 1
+        setsockopt(fd, SOL_SOCKET, SO_NOSIGPIPE, &noSigPipe, socklen_t(MemoryLayout<Int32>.size))
 
-        guard bytesRead > 0 else {
+        guard let data = readRequest(fd: fd) else {
             close(fd)
             return
         }
 
-        let data = Data(bytes: buffer, count: bytesRead)
-
         guard let message = try? JSONDecoder().decode(IPCMessage.self, from: data) else {
             let errorResponse = IPCResponse(success: false, command: "error", error: "Invalid message format")
             sendResponse(errorResponse, toFd: fd)
@@ -116,23 +144,154 @@ final class IPCServer: ObservableObject {
         // Process message and respond asynchronously
         Task { @MainActor [weak self] in
             let response = await self?.processMessage(message) ?? IPCResponse(success: false, command: message.command, error: "Server error")
-            self?.sendResponse(response, toFd: fd)
+
+            // Hosts keep this connection open to hear about vault changes
+            if message.command == "subscribe", response.success, let self = self {
+                self.addSubscriber(fd: fd)
+            } else {
+                self?.sendResponse(response, toFd: fd)
+            }
+        }
+    }
+
+    /// Reads one request. Hosts end each with a newline, and a large one takes several reads.
+    private func readRequest(fd: Int32) -> Data? {
+        // A host that connects and never finishes its request must not hold a client thread
+        var timeout = timeval(tv_sec: 10, tv_usec: 0)
+        setsockopt(fd, SOL_SOCKET, SO_RCVTIMEO, &timeout, socklen_t(MemoryLayout<timeval>.size))
+
+        var request = Data()
+        var buffer = [UInt8](repeating: 0, count: 65536)
+
+        while true {
+            let bytesRead = read(fd, &buffer, buffer.count)
+            if bytesRead < 0 && errno == EINTR {
+                continue
+            }
+            guard bytesRead > 0 else {
+                // The host closed its side without a newline, or stopped writing
+                return request.isEmpty ? nil : request
+            }
+
+            let chunk = buffer[0..<bytesRead]
+            if let newline = chunk.firstIndex(of: 0x0A) {
+                request.append(contentsOf: chunk[..<newline])
+                return request
+            }
+            request.append(contentsOf: chunk)
+
+            guard request.count <= Self.maximumRequestSize else {
+                return nil
+            }
         }
     }
 
+    /// The response ends with the connection: hosts read until the app closes it.
     private func sendResponse(_ response: IPCResponse, toFd fd: Int32) {
         if let responseData = try? JSONEncoder().encode(response) {
-            _ = responseData.withUnsafeBytes { ptr in
-                write(fd, ptr.baseAddress!, responseData.count)
+            responseData.withUnsafeBytes { ptr in
+                var offset = 0
+                while offset < ptr.count {
+                    let written = write(fd, ptr.baseAddress! + offset, ptr.count - offset)
+                    if written < 0 && errno == EINTR {
+                        continue
+                    }
+                    guard written > 0 else { return }
+                    offset += written
+                }
             }
         }
         close(fd)
     }
 
+    // MARK: - Events
+
+    /// Pushes lock state and item changes to subscribed hosts.
+    @MainActor
+    private func observeVault() {
+        let vaultManager = VaultManager.shared
+        cancellables.removeAll()
+
+        vaultManager.$isLocked
+            .removeDuplicates()
+            .dropFirst()
+            .sink { [weak self] isLocked in
+                self?.broadcast(event: isLocked ? "locked" : "unlocked")
+            }
+            .store(in: &cancellables)
+
+        vaultManager.$items
+            .dropFirst()
+            // Unlocking fills the items while the vault still counts as locked
+            .filter { _ in !vaultManager.isLocked }
+            .debounce(for: .milliseconds(200), scheduler: RunLoop.main)
+            .sink { [weak self] _ in
+                // Locking empties them right before it locks
+                guard !vaultManager.isLocked else { return }
+                self?.broadcast(event: "itemsChanged")
+            }
+            .store(in: &cancellables)
+    }
+
+    /// Sends an event to every subscribed host, dropping the ones that went away.
+    func broadcast(event: String) {
+        guard let line = Self.eventLine(event) else { return }
+
+        subscriberQueue.async { [weak self] in
+            guard let self = self else { return }
+            self.subscribers = self.subscribers.filter { self.push(line, to: $0) }
+        }
+    }
+
+    private func addSubscriber(fd: Int32) {
+        // A host that stopped reading must not block us, nor one that quit raise SIGPIPE
+        var noSigPipe: Int32 = 1
+        setsockopt(fd, SOL_SOCKET, SO_NOSIGPIPE, &noSigPipe, socklen_t(MemoryLayout<Int32>.size))
+        _ = fcntl(fd, F_SETFL, fcntl(fd, F_GETFL) | O_NONBLOCK)
+
+        // Start with the current state, so the host knows events flow
+        Task { @MainActor [weak self] in
+            guard let self = self,
+                  let line = Self.eventLine(VaultManager.shared.isLocked ? "locked" : "unlocked") else {
+                close(fd)
+                return
+            }
+
+            self.subscriberQueue.async {
+                if self.push(line, to: fd) {
+                    self.subscribers.append(fd)
+                }
+            }
+        }
+    }
+
+    private func push(_ line: Data, to fd: Int32) -> Bool {
+        let written = line.withUnsafeBytes { ptr in
+            write(fd, ptr.baseAddress!, line.count)
+        }
+        guard written == line.count else {
+            close(fd)
+            return false
+        }
+        return true
+    }
+
+    /// Events travel as one JSON object per line.
+    private static func eventLine(_ event: String) -> Data? {
+        guard var line = try? JSONEncoder().encode(["event": event]) else { return nil }
+        line.append(0x0A)
+        return line
+    }
+
     /// Stops the IPC server.
     func stop() {
         isRunning = false
 
+        subscriberQueue.sync {
+            subscribers.forEach { close($0) }
+            subscribers.removeAll()
+        }
+
         if serverSocket >= 0 {
             close(serverSocket)
             serverSocket = -1
@@ -146,9 +305,134 @@ final class IPCServer: ObservableObject {
 
     @MainActor
     private func processMessage(_ message: IPCMessage) async -> IPCResponse {
+        let pairing = BrowserPairingManager.shared
+
+        switch message.command {
+        case "pair":
+            guard let clientId: String = message.param("clientId"),
+                  let name: String = message.param("name"),
+                  let publicKeyString: String = message.param("publicKey"),
+                  let publicKey = Data(base64Encoded: publicKeyString) else {
+                return IPCResponse(success: false, command: message.command, error: "Missing required parameters")
+            }
+
+            do {
+                let appPublicKey = try pairing.requestPairing(clientId: clientId, name: name, publicKey: publicKey)
+                return IPCResponse(
+                    success: true,
+                    command: message.command,
+                    data: ["publicKey": appPublicKey.base64EncodedString()]
+                )
+            } catch {
+                return IPCResponse(success: false, command: message.command, error: error.localizedDescription)
+            }
+
+        case "pairStatus":
+            guard let clientId: String = message.param("clientId") else {
+                return IPCResponse(success: false, command: message.command, error: "Missing required parameters")
+            }
+
+            return IPCResponse(
+                success: true,
+                command: message.command,
+                data: ["status": pairing.pairingStatus(for: clientId).rawValue]
+            )
+
+        case "openSession":
+            guard let clientId: String = message.param("clientId"),
+                  let nonceString: String = message.param("nonce"),
+                  let nonce = Data(base64Encoded: nonceString) else {
+                return IPCResponse(success: false, command: message.command, error: "Missing required parameters")
+            }
+
+            do {
+                let session = try pairing.openSession(clientId: clientId, clientNonce: nonce)
+                return IPCResponse(
+                    success: true,
+                    command: message.command,
+                    data: [
+                        "sessionId": session.sessionId,
+                        "nonce": session.nonce.base64EncodedString()
+                    ]
+                )
+            } catch {
+                return IPCResponse(success: false, command: message.command, error: error.localizedDescription)
+            }
+
+        case "secure":
+            return await processSecureMessage(message)
+
+        case "subscribe":
+            // Events go to the host of a browser that has a session open
+            guard let sessionId: String = message.param("sessionId"),
+                  pairing.hasSession(sessionId) else {
+                return IPCResponse(success: false, command: message.command, error: "Pairing required")
+            }
+            return IPCResponse(success: true, command: message.command)
+
+        default:
+            // Apart from pairing, only the hello is answered outside a session
+            guard message.command == "hello" else {
+                return IPCResponse(success: false, command: message.command, error: "Pairing required")
+            }
+            return await processCommand(message)
+        }
+    }
+
+    /// Opens a sealed request, runs the command inside and seals the response.
+    @MainActor
+    private func processSecureMessage(_ message: IPCMessage) async -> IPCResponse {
+        let pairing = BrowserPairingManager.shared
+
+        guard let sessionId: String = message.param("sessionId"),
+              let counter: Int = message.param("counter"),
+              let ivString: String = message.param("iv"),
+              let iv = Data(base64Encoded: ivString),
+              let ciphertextString: String = message.param("ciphertext"),
+              let ciphertext = Data(base64Encoded: ciphertextString) else {
+            return IPCResponse(success: false, command: message.command, error: "Missing required parameters")
+        }
+
+        do {
+            let plaintext = try pairing.open(sessionId: sessionId, counter: counter, iv: iv, ciphertext: ciphertext)
+            let request = try JSONDecoder().decode(IPCMessage.self, from: plaintext)
+            let response = await processCommand(request)
+            let sealed = try pairing.seal(JSONEncoder().encode(response), sessionId: sessionId, counter: counter)
+            return IPCResponse(
+                success: true,
+                command: message.command,
+                data: [
+                    "counter": counter,
+                    "iv": sealed.iv.base64EncodedString(),
+                    "ciphertext": sealed.ciphertext.base64EncodedString()
+                ]
+            )
+        } catch {
+            return IPCResponse(success: false, command: message.command, error: error.localizedDescription)
+        }
+    }
+
+    @MainActor
+    private func processCommand(_ message: IPCMessage) async -> IPCResponse {
         let vaultManager = VaultManager.shared
 
         switch message.command {
+        case "hello":
+            // Answered locked or not: the extension needs it before anything else
+            let clientVersion: Int = message.param("protocolVersion") ?? 0
+            let appVersion = Bundle.main.object(forInfoDictionaryKey: "CFBundleShortVersionString") as? String ?? ""
+            return IPCResponse(
+                success: true,
+                command: message.command,
+                data: [
+                    "protocolVersion": Self.protocolVersion,
+                    "minProtocolVersion": Self.minimumClientProtocolVersion,
+                    "appVersion": appVersion,
+                    "commands": Self.supportedCommands,
+                    "compatible": clientVersion >= Self.minimumClientProtocolVersion
+                ]
+            )
+
         case "status":
             let itemCount = vaultManager.isLocked ? 0 : vaultManager.items.allItems.count
             return IPCResponse(
@@ -205,7 +489,10 @@ final class IPCServer: ObservableObject {
 
             var responseData: [String: Any] = [
                 "username": login.username,
-                "password": login.password
+                "password": login.password,
+                "urls": login.urls,
+                "matchMode": login.matchMode.rawValue,
+                "autoSubmit": login.submitsAfterFill
             ]
 
             // Include TOTP if available
@@ -251,10 +538,38 @@ final class IPCServer: ObservableObject {
                 data: [
                     "code": totp.code,
                     "remaining": totp.remainingSeconds,
-                    "period": totp.period
+                    "period": totp.period,
+                    "urls": login.urls,
+                    "matchMode": login.matchMode.rawValue
                 ]
             )
 
+        case "listLogins":
+            guard !vaultManager.isLocked else {
+                return IPCResponse(success: false, command: message.command, error: "Vault is locked")
+            }
+
+            // The extension matches pages itself, using each item's match mode and the Public
+            // Suffix List. Given the page's URL, only logins that could be for its site are sent.
+            var logins = vaultManager.items.logins
+            if let url: String = message.param("url") {
+                let pageSuffix = siteSuffix(of: url)
+                logins = logins.filter { loginMayMatch($0, pageSuffix: pageSuffix) }
+            }
+
+            let items = logins.map { login -> [String: Any] in
+                [
+                    "id": login.id.uuidString,
+                    "title": login.title,
+                    "username": login.username,
+                    "urls": login.urls,
+                    "matchMode": login.matchMode.rawValue,
+                    "hasTotp": login.totpSecret != nil && !login.totpSecret!.isEmpty
+                ]
+            }
+
+            return IPCResponse(success: true, command: message.command, data: ["items": items])
+
         case "listForUrl":
             guard !vaultManager.isLocked else {
                 return IPCResponse(success: false, command: message.command, error: "Vault is locked")
@@ -283,6 +598,114 @@ final class IPCServer: ObservableObject {
 
             return IPCResponse(success: true, command: message.command, data: ["items": items])
 
+        case "listCards":
+            guard !vaultManager.isLocked else {
+                return IPCResponse(success: false, command: message.command, error: "Vault is locked")
+            }
+
+            // Summaries only - card number and CVV are sent by getCard
+            let items = vaultManager.items.creditCards.map { card -> [String: Any] in
+                [
+                    "id": card.id.uuidString,
+                    "title": card.title,
+                    "cardholderName": card.cardholderName,
+                    "lastFour": String(card.cardNumber.filter { $0.isNumber }.suffix(4)),
+                    "cardType": card.cardType.rawValue,
+                    "expiration": card.formattedExpiration,
+                    "isExpired": card.isExpired
+                ]
+            }
+
+            return IPCResponse(success: true, command: message.command, data: ["items": items])
+
+        case "getCard":
+            guard !vaultManager.isLocked else {
+                return IPCResponse(success: false, command: message.command, error: "Vault is locked")
+            }
+
+            guard let idString: String = message.param("id"),
+                  let id = UUID(uuidString: idString) else {
+                return IPCResponse(success: false, command: message.command, error: "Invalid item ID")
+            }
+
+            guard let item = vaultManager.getItem(id: id),
+                  let card = item as? CreditCard else {
+                return IPCResponse(success: false, command: message.command, error: "Item not found")
+            }
+
+            var responseData: [String: Any] = [
+                "cardholderName": card.cardholderName,
+                "cardNumber": card.cardNumber.filter { $0.isNumber },
+                "expirationMonth": card.expirationMonth,
+                "expirationYear": card.expirationYear,
+                "cvv": card.cvv,
+                "cardType": card.cardType.rawValue
+            ]
+
+            if let address = card.billingAddress, !address.isEmpty {
+                responseData["billingAddress"] = [
+                    "street": address.street,
+                    "city": address.city,
+                    "state": address.state,
+                    "postalCode": address.postalCode,
+                    "country": address.country
+                ]
+            }
+
+            return IPCResponse(success: true, command: message.command, data: responseData)
+
+        case "listIdentities":
+            guard !vaultManager.isLocked else {
+                return IPCResponse(success: false, command: message.command, error: "Vault is locked")
+            }
+
+            let items = vaultManager.items.identities.map { identity -> [String: Any] in
+                [
+                    "id": identity.id.uuidString,
+                    "title": identity.title,
+                    "fullName": identity.fullName,
+                    "email": identity.email
+                ]
+            }
+
+            return IPCResponse(success: true, command: message.command, data: ["items": items])
+
+        case "getIdentity":
+            guard !vaultManager.isLocked else {
+                return IPCResponse(success: false, command: message.command, error: "Vault is locked")
+            }
+
+            guard let idString: String = message.param("id"),
+                  let id = UUID(uuidString: idString) else {
+                return IPCResponse(success: false, command: message.command, error: "Invalid item ID")
+            }
+
+            guard let item = vaultManager.getItem(id: id),
+                  let identity = item as? Identity else {
+                return IPCResponse(success: false, command: message.command, error: "Item not found")
+            }
+
+            return IPCResponse(
+                success: true,
+                command: message.command,
+                data: [
+                    "firstName": identity.firstName,
+                    "middleName": identity.middleName,
+                    "lastName": identity.lastName,
+                    "fullName": identity.fullName,
+                    "email": identity.email,
+                    "phone": identity.phone,
+                    "company": identity.company,
+                    "address": [
+                        "street": identity.address.street,
+                        "city": identity.address.city,
+                        "state": identity.address.state,
+                        "postalCode": identity.address.postalCode,
+                        "country": identity.address.country
+                    ]
+                ]
+            )
+
         case "lock":
             await vaultManager.lock()
             return IPCResponse(success: true, command: message.command, data: [:])
@@ -311,13 +734,18 @@ final class IPCServer: ObservableObject {
 
             let username: String = message.param("username") ?? ""
             let title: String = message.param("title") ?? extractDomain(from: url)
+            let tags = (message.param("tags") as [Any]? ?? [])
+                .compactMap { ($0 as? String)?.trimmingCharacters(in: .whitespaces) }
+                .filter { !$0.isEmpty }
 
             let login = LoginItem(
                 title: title,
                 username: username,
                 password: password,
                 urls: [url],
-                notes: "Saved from browser extension"
+                notes: "Saved from browser extension",
+                tags: Array(Set(tags)).sorted(),
+                favorite: message.param("favorite") ?? false
             )
 
             do {
@@ -359,6 +787,37 @@ final class IPCServer: ObservableObject {
                 return IPCResponse(success: false, command: message.command, error: "Failed to update: \(error.localizedDescription)")
             }
 
+        case "addUrl":
+            guard !vaultManager.isLocked else {
+                return IPCResponse(success: false, command: message.command, error: "Vault is locked")
+            }
+
+            guard let idString: String = message.param("id"),
+                  let id = UUID(uuidString: idString) else {
+                return IPCResponse(success: false, command: message.command, error: "Invalid item ID")
+            }
+
+            guard let url: String = message.param("url"), !url.isEmpty else {
+                return IPCResponse(success: false, command: message.command, error: "Missing URL parameter")
+            }
+
+            guard let item = vaultManager.getItem(id: id),
+                  var login = item as? LoginItem else {
+                return IPCResponse(success: false, command: message.command, error: "Item not found")
+            }
+
+            if !login.urls.contains(url) {
+                login.urls.append(url)
+                login.modifiedAt = Date()
+            }
+
+            do {
+                try await vaultManager.updateItem(login)
+                return IPCResponse(success: true, command: message.command, data: ["id": login.id.uuidString, "urls": login.urls])
+            } catch {
+                return IPCResponse(success: false, command: message.command, error: "Failed to update: \(error.localizedDescription)")
+            }
+
         case "checkExisting":
             guard !vaultManager.isLocked else {
                 return IPCResponse(success: false, command: message.command, error: "Vault is locked")
@@ -392,6 +851,35 @@ final class IPCServer: ObservableObject {
                 return IPCResponse(success: true, command: message.command, data: ["exists": false])
             }
 
+        case "listTags":
+            guard !vaultManager.isLocked else {
+                return IPCResponse(success: false, command: message.command, error: "Vault is locked")
+            }
+
+            return IPCResponse(
+                success: true,
+                command: message.command,
+                data: ["tags": vaultManager.items.allTags.sorted()]
+            )
+
+        case "recordAutofill":
+            // Fills the extension did without the user picking the item or pressing the button
+            guard let action: String = message.param("action"),
+                  let url: String = message.param("url") else {
+                return IPCResponse(success: false, command: message.command, error: "Missing required parameters")
+            }
+
+            let host = extractDomain(from: url)
+            switch action {
+            case "autoSubmit":
+                AuditLogger.shared.browserAutoSubmitted(host: host)
+            case "fillOnPageLoad":
+                AuditLogger.shared.browserFilledOnPageLoad(host: host)
+            default:
+                return IPCResponse(success: false, command: message.command, error: "Unknown autofill action")
+            }
+            return IPCResponse(success: true, command: message.command)
+
         case "checkBreach":
             guard !vaultManager.isLocked else {
                 return IPCResponse(success: false, command: message.command, error: "Vault is locked")
@@ -455,6 +943,41 @@ final class IPCServer: ObservableObject {
 
         return host
     }
+
+    /// The last two labels of a URL's host. Hosts on the same site always share them, so this is
+    /// coarser than the registrable domain the extension matches with. Nil when the host is not
+    /// plain ASCII or can't be read.
+    private func siteSuffix(of urlString: String) -> String? {
+        var urlStr = urlString.lowercased()
+        if !urlStr.contains("://") {
+            urlStr = "https://" + urlStr
+        }
+
+        guard let host = URL(string: urlStr)?.host,
+              !host.isEmpty,
+              host.allSatisfy({ $0.isASCII }) else {
+            return nil
+        }
+
+        return host.split(separator: ".").suffix(2).joined(separator: ".")
+    }
+
+    /// Whether a login could match a page on the site `pageSuffix` names. Logins matched by
+    /// regular expression, and URLs whose host can't be compared, are left to the extension;
+    /// a page without a readable host matches nothing else.
+    private func loginMayMatch(_ login: LoginItem, pageSuffix: String?) -> Bool {
+        switch login.matchMode {
+        case .never:
+            return false
+        case .regex:
+            return true
+        default:
+            guard let pageSuffix = pageSuffix else { return false }
+            return login.urls.contains { url in
+                siteSuffix(of: url).map { $0 == pageSuffix } ?? true
+            }
+        }
+    }
 }
 
 // MARK: - IPC Message Types
@@ -19,6 +19,14 @@ struct LoginItem: VaultItem {
     var totpSecret: String?
     var passwordHistory: [PasswordHistoryEntry]
 
+    /// How the browser extension compares pages to `urls`. Nil in vaults saved before
+    /// match modes existed, which then use the base domain.
+    var urlMatchMode: URLMatchMode?
+
+    /// Whether the browser extension signs in after filling this item, by pressing the form's
+    /// submit button. Nil in vaults saved before the option existed, which then don't.
+    var autoSubmit: Bool?
+
     var category: ItemCategory { .login }
 
     init(
@@ -35,7 +43,9 @@ struct LoginItem: VaultItem {
         icon: ItemIcon = .login,
         customFields: [CustomField] = [],
         totpSecret: String? = nil,
-        passwordHistory: [PasswordHistoryEntry] = []
+        passwordHistory: [PasswordHistoryEntry] = [],
+        urlMatchMode: URLMatchMode? = nil,
+        autoSubmit: Bool? = nil
     ) {
         self.id = id
         self.title = title
@@ -51,6 +61,18 @@ struct LoginItem: VaultItem {
         self.customFields = customFields
         self.totpSecret = totpSecret
         self.passwordHistory = passwordHistory
+        self.urlMatchMode = urlMatchMode
+        self.autoSubmit = autoSubmit
+    }
+
+    /// The match mode in effect for this item.
+    var matchMode: URLMatchMode {
+        urlMatchMode ?? .baseDomain
+    }
+
+    /// Whether the browser extension signs in after filling this item.
+    var submitsAfterFill: Bool {
+        autoSubmit ?? false
     }
 
     /// Returns the primary URL if available.
@@ -94,6 +116,54 @@ struct LoginItem: VaultItem {
     }
 }
 
+// MARK: - URL Match Mode
+
+/// How a page URL is compared to a login's saved URLs.
+enum URLMatchMode: String, Codable, CaseIterable, Identifiable {
+    case baseDomain
+    case host
+    case hostAndPort
+    case startsWith
+    case regex
+    case never
+
+    var id: String { rawValue }
+
+    var displayName: String {
+        switch self {
+        case .baseDomain:
+            return "Base domain"
+        case .host:
+            return "Exact host"
+        case .hostAndPort:
+            return "Host and port"
+        case .startsWith:
+            return "Starts with"
+        case .regex:
+            return "Regular expression"
+        case .never:
+            return "Never"
+        }
+    }
+
+    var description: String {
+        switch self {
+        case .baseDomain:
+            return "Any page on the same site, e.g. login.example.com for example.com."
+        case .host:
+            return "Only pages on exactly this host name."
+        case .hostAndPort:
+            return "Only pages on this host name and port."
+        case .startsWith:
+            return "Only pages whose address starts with a saved URL."
+        case .regex:
+            return "Pages whose address matches a saved URL as a regular expression."
+        case .never:
+            return "Never suggest or fill this login automatically."
+        }
+    }
+}
+
 // MARK: - Password History Entry
 
 /// An entry in the password history.
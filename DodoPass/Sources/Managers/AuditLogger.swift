@@ -159,6 +159,14 @@ final class AuditLogger: Sendable {
         log("Clipboard cleared", category: .security, level: .debug)
     }
 
+    func browserAutoSubmitted(host: String) {
+        log("Browser extension signed in after filling", category: .security, level: .info, metadata: ["host": host])
+    }
+
+    func browserFilledOnPageLoad(host: String) {
+        log("Browser extension filled a login on page load", category: .security, level: .info, metadata: ["host": host])
+    }
+
     func autoLockTriggered(reason: String) {
         log("Auto-lock triggered", category: .security, level: .info, metadata: ["reason": reason])
     }
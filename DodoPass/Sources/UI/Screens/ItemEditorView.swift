@@ -12,6 +12,8 @@ struct ItemEditorView: View {
     @State private var username = ""
     @State private var password = ""
     @State private var urls: [String] = [""]
+    @State private var urlMatchMode: URLMatchMode = .baseDomain
+    @State private var autoSubmit = false
     @State private var notes = ""
     @State private var tags: [String] = []
     @State private var icon: ItemIcon
@@ -53,6 +55,8 @@ struct ItemEditorView: View {
             _username = State(initialValue: login.username)
             _password = State(initialValue: login.password)
             _urls = State(initialValue: login.urls.isEmpty ? [""] : login.urls)
+            _urlMatchMode = State(initialValue: login.matchMode)
+            _autoSubmit = State(initialValue: login.submitsAfterFill)
             _notes = State(initialValue: login.notes)
             _tags = State(initialValue: login.tags)
             _icon = State(initialValue: login.icon)
@@ -257,6 +261,33 @@ struct ItemEditorView: View {
                 }
                 .buttonStyle(.plain)
             }
+
+            VStack(alignment: .leading, spacing: Theme.Spacing.xs) {
+                Text("URL matching")
+                    .font(DodoTypography.label)
+                    .foregroundColor(DodoColors.textSecondary)
+
+                Picker("URL matching", selection: $urlMatchMode) {
+                    ForEach(URLMatchMode.allCases) { mode in
+                        Text(mode.displayName).tag(mode)
+                    }
+                }
+                .labelsHidden()
+
+                Text(urlMatchMode.description)
+                    .font(DodoTypography.caption)
+                    .foregroundColor(DodoColors.textTertiary)
+            }
+
+            VStack(alignment: .leading, spacing: Theme.Spacing.xs) {
+                Toggle("Sign in after filling", isOn: $autoSubmit)
+                    .font(DodoTypography.label)
+                    .foregroundColor(DodoColors.textSecondary)
+
+                Text("The browser extension presses the login button once it has filled this item.")
+                    .font(DodoTypography.caption)
+                    .foregroundColor(DodoColors.textTertiary)
+            }
         }
     }
 
@@ -446,7 +477,9 @@ struct ItemEditorView: View {
                 favorite: item?.favorite ?? false,
                 createdAt: item?.createdAt ?? Date(),
                 modifiedAt: Date(),
-                icon: icon
+                icon: icon,
+                urlMatchMode: urlMatchMode,
+                autoSubmit: autoSubmit
             )
         case .secureNote:
             return SecureNote(
@@ -4,6 +4,7 @@ import UniformTypeIdentifiers
 /// The settings/preferences view.
 struct SettingsView: View {
     @StateObject private var viewModel = SettingsViewModel()
+    @StateObject private var pairingManager = BrowserPairingManager.shared
     @Environment(\.dismiss) private var dismiss
 
     var body: some View {
@@ -62,6 +63,32 @@ struct SettingsView: View {
                     }
                 }
 
+                // Browsers section
+                Section("Browsers") {
+                    if pairingManager.pairedBrowsers.isEmpty {
+                        Text("No browsers paired. Click Pair in the DodoPass browser extension to connect one.")
+                            .font(DodoTypography.caption)
+                            .foregroundColor(DodoColors.textSecondary)
+                    } else {
+                        ForEach(pairingManager.pairedBrowsers) { browser in
+                            HStack {
+                                VStack(alignment: .leading, spacing: Theme.Spacing.xxxs) {
+                                    Text(browser.name)
+                                    Text(browserDetail(browser))
+                                        .font(DodoTypography.caption)
+                                        .foregroundColor(DodoColors.textSecondary)
+                                }
+
+                                Spacer()
+
+                                Button("Revoke", role: .destructive) {
+                                    pairingManager.revoke(browser)
+                                }
+                            }
+                        }
+                    }
+                }
+
                 // Sync section
                 Section("Sync") {
                     Toggle("iCloud sync", isOn: $viewModel.iCloudSyncEnabled)
@@ -178,6 +205,12 @@ struct SettingsView: View {
             Text(viewModel.importExportError ?? "")
         }
     }
+
+    private func browserDetail(_ browser: PairedBrowser) -> String {
+        let paired = "Paired \(browser.pairedAt.formatted(date: .abbreviated, time: .omitted))"
+        guard let lastSeen = browser.lastSeenAt else { return paired }
+        return "\(paired) · Last used \(lastSeen.formatted(date: .abbreviated, time: .shortened))"
+    }
 }
 
 // MARK: - Export Sheet
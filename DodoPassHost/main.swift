@@ -37,12 +37,18 @@ func readMessage() -> [String: Any]? {
     return json
 }
 
+/// Responses and events are written from different threads; one message at a time.
+let outputLock = NSLock()
+
 /// Writes a message to stdout using Chrome's native messaging protocol.
 func writeMessage(_ message: [String: Any]) {
     guard let jsonData = try? JSONSerialization.data(withJSONObject: message) else {
         return
     }
 
+    outputLock.lock()
+    defer { outputLock.unlock() }
+
     let stdout = FileHandle.standardOutput
 
     // Write 4-byte length prefix (little-endian)
@@ -127,10 +133,12 @@ func sendToApp(_ command: [String: Any], requestId: Int?) -> [String: Any] {
         return response
     }
 
-    try? handle.write(contentsOf: jsonData)
+    // DodoPass reads the request up to the newline, and closes the connection after its response
+    var request = jsonData
+    request.append(0x0A)
+    try? handle.write(contentsOf: request)
 
-    // Read response
-    let responseData = handle.availableData
+    let responseData = (try? handle.readToEnd()) ?? Data()
 
     guard !responseData.isEmpty else {
         var response: [String: Any] = ["success": false, "error": "No response from DodoPass"]
@@ -156,9 +164,120 @@ func sendToApp(_ command: [String: Any], requestId: Int?) -> [String: Any] {
     return response
 }
 
+// MARK: - Events
+
+/// The session the extension last opened with DodoPass, guarded by `sessionCondition`.
+/// DodoPass only sends events to the host of a browser in session, so the subscription names it.
+let sessionCondition = NSCondition()
+var openSessionId: String?
+
+/// Whether the app's last hello listed `subscribe`; nil until one came by.
+var appSendsEvents: Bool?
+
+/// Remembers what the extension learns from DodoPass that the subscription depends on.
+func noteSession(command: [String: Any], response: [String: Any]) {
+    guard response["success"] as? Bool == true,
+          let data = response["data"] as? [String: Any] else {
+        return
+    }
+
+    sessionCondition.lock()
+    defer { sessionCondition.unlock() }
+
+    switch command["command"] as? String {
+    case "hello":
+        if let commands = data["commands"] as? [String] {
+            appSendsEvents = commands.contains("subscribe")
+        }
+    case "openSession":
+        if let sessionId = data["sessionId"] as? String {
+            openSessionId = sessionId
+        }
+    default:
+        return
+    }
+    sessionCondition.broadcast()
+}
+
+/// Waits until the extension has a session open other than `refused`, with an app that sends events.
+func waitForSession(other refused: String?) -> String {
+    sessionCondition.lock()
+    defer { sessionCondition.unlock() }
+
+    while true {
+        if appSendsEvents != false, let sessionId = openSessionId, sessionId != refused {
+            return sessionId
+        }
+        sessionCondition.wait()
+    }
+}
+
+/// Keeps a subscription open with DodoPass and passes its events on to the browser as
+/// messages without a requestId. They only tell the extension when to ask again; everything
+/// it shows still comes through requests.
+func forwardEvents() {
+    // A session the app turned down isn't tried again: the extension opens a new one once
+    // the app is back, and the subscription waits for that instead of polling the socket
+    var refusedSessionId: String?
+
+    while true {
+        let sessionId = waitForSession(other: refusedSessionId)
+        var subscribed = false
+
+        if let handle = connectToApp(),
+           var subscribe = try? JSONSerialization.data(withJSONObject: [
+               "command": "subscribe",
+               "params": ["sessionId": sessionId]
+           ]) {
+            subscribe.append(0x0A)
+            try? handle.write(contentsOf: subscribe)
+
+            var buffer = Data()
+
+            // One JSON object per line, until DodoPass closes the connection
+            while true {
+                let chunk = handle.availableData
+                if chunk.isEmpty {
+                    break
+                }
+                buffer.append(chunk)
+
+                while let newline = buffer.firstIndex(of: 0x0A) {
+                    let line = buffer.subdata(in: buffer.startIndex..<newline)
+                    buffer.removeSubrange(buffer.startIndex...newline)
+
+                    if let json = try? JSONSerialization.jsonObject(with: line) as? [String: Any],
+                       let event = json["event"] as? String {
+                        subscribed = true
+                        writeMessage(["event": event])
+                    }
+                }
+            }
+
+            try? handle.close()
+
+            // DodoPass quit or restarted
+            if subscribed {
+                writeMessage(["event": "appStopped"])
+            }
+        }
+
+        // One that was up may have dropped with the app still running, so it gets another try
+        if subscribed {
+            Thread.sleep(forTimeInterval: 2)
+        } else {
+            refusedSessionId = sessionId
+        }
+    }
+}
+
 // MARK: - Main Loop
 
 func main() {
+    Thread.detachNewThread {
+        forwardEvents()
+    }
+
     // Process messages in a loop
     while true {
         guard let message = readMessage() else {
@@ -170,6 +289,7 @@ func main() {
 
         // Forward to DodoPass app and get response with requestId preserved
         let response = sendToApp(message, requestId: requestId)
+        noteSession(command: message, response: response)
         writeMessage(response)
     }
 }
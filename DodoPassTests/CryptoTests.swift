@@ -202,4 +202,38 @@ final class CryptoTests: XCTestCase {
         // All bytes should be zero after wiping
         XCTAssertTrue(data.allSatisfy { $0 == 0 })
     }
+
+    // MARK: - Browser Pairing Tests
+
+    @MainActor
+    func testPairingCodeMatchesOnBothSides() throws {
+        let appKey = P256.KeyAgreement.PrivateKey()
+        let browserKey = P256.KeyAgreement.PrivateKey()
+        let appPublicKey = appKey.publicKey.x963Representation
+        let browserPublicKey = browserKey.publicKey.x963Representation
+
+        let appCode = BrowserPairingManager.pairingCode(
+            sharedSecret: try appKey.sharedSecretFromKeyAgreement(with: browserKey.publicKey),
+            browserKey: browserPublicKey,
+            appKey: appPublicKey
+        )
+        let browserCode = BrowserPairingManager.pairingCode(
+            sharedSecret: try browserKey.sharedSecretFromKeyAgreement(with: appKey.publicKey),
+            browserKey: browserPublicKey,
+            appKey: appPublicKey
+        )
+
+        XCTAssertEqual(appCode, browserCode)
+        XCTAssertEqual(appCode.count, 6)
+        XCTAssertTrue(appCode.allSatisfy(\.isNumber))
+
+        // A key swapped in by someone in the middle shows a different code
+        let attackerKey = P256.KeyAgreement.PrivateKey()
+        let attackerCode = BrowserPairingManager.pairingCode(
+            sharedSecret: try attackerKey.sharedSecretFromKeyAgreement(with: appKey.publicKey),
+            browserKey: attackerKey.publicKey.x963Representation,
+            appKey: appPublicKey
+        )
+        XCTAssertNotEqual(appCode, attackerCode)
+    }
 }
@@ -35,6 +35,42 @@ final class VaultSerializationTests: XCTestCase {
         XCTAssertEqual(login.favorite, decoded.favorite)
     }
 
+    func testLoginItemMatchModeSerialization() throws {
+        let login = LoginItem(
+            title: "Intranet",
+            urls: ["https://intranet.example.com:8443"],
+            urlMatchMode: .hostAndPort
+        )
+
+        let data = try JSONEncoder().encode(login)
+        let decoded = try JSONDecoder().decode(LoginItem.self, from: data)
+        XCTAssertEqual(decoded.matchMode, .hostAndPort)
+
+        // Items saved before match modes existed fall back to the base domain
+        var json = try XCTUnwrap(JSONSerialization.jsonObject(with: data) as? [String: Any])
+        json.removeValue(forKey: "urlMatchMode")
+        let legacyData = try JSONSerialization.data(withJSONObject: json)
+        let legacy = try JSONDecoder().decode(LoginItem.self, from: legacyData)
+        XCTAssertNil(legacy.urlMatchMode)
+        XCTAssertEqual(legacy.matchMode, .baseDomain)
+    }
+
+    func testLoginItemAutoSubmitSerialization() throws {
+        let login = LoginItem(title: "Example", urls: ["https://example.com"], autoSubmit: true)
+
+        let data = try JSONEncoder().encode(login)
+        let decoded = try JSONDecoder().decode(LoginItem.self, from: data)
+        XCTAssertTrue(decoded.submitsAfterFill)
+
+        // Items saved before the option existed are filled without signing in
+        var json = try XCTUnwrap(JSONSerialization.jsonObject(with: data) as? [String: Any])
+        json.removeValue(forKey: "autoSubmit")
+        let legacyData = try JSONSerialization.data(withJSONObject: json)
+        let legacy = try JSONDecoder().decode(LoginItem.self, from: legacyData)
+        XCTAssertNil(legacy.autoSubmit)
+        XCTAssertFalse(legacy.submitsAfterFill)
+    }
+
     func testSecureNoteSerialization() throws {
         let note = SecureNote(
             id: UUID(),
@@ -0,0 +1,521 @@
+#!/usr/bin/env node
+
+// DodoPass fake native messaging host
+// Speaks the same stdio protocol as DodoPassHost but answers from a small in-memory vault,
+// so the browser extension can be exercised without the app. Install it in place of the
+// real host with: scripts/install-browser-extension.sh --fake-host
+// Browsers start hosts with a minimal PATH; if node isn't found, point the first line at it.
+// scripts/test-transport.js runs the extension's transport against it.
+//
+// Environment:
+//   DODOPASS_FAKE_LATENCY=ms       delay every response
+//   DODOPASS_FAKE_EXIT_AFTER=n     exit after n messages, to test reconnecting
+//   DODOPASS_FAKE_HANG=command     never answer this command, to test timeouts and heartbeats
+//   DODOPASS_FAKE_APP_DOWN=1       answer like a host that can't reach the app
+//   DODOPASS_FAKE_PASSWORD=secret  master password for unlock (default "dodopass")
+//   DODOPASS_FAKE_PROTOCOL=n       protocol version to claim (default 2); 0 acts like an app without
+//                                  hello, 1 like one from before pairing
+//   DODOPASS_FAKE_MIN_PROTOCOL=n   oldest extension protocol to accept (default 2)
+//   DODOPASS_FAKE_PAIRING=reject   decline pairing requests instead of approving them
+//   DODOPASS_FAKE_STATE=path       where paired browsers are kept between runs; delete the file to
+//                                  revoke them all (default: dodopass-fake-host.json in the temp dir)
+//
+// Pairing codes are printed to stderr, which the browser passes on to its own.
+// Like the app, the host pushes 'locked', 'unlocked' and 'itemsChanged' events. To send them
+// as if something changed in the app: kill -USR1 <pid> toggles the lock, kill -USR2 <pid>
+// reports changed items.
+
+const { randomUUID, webcrypto } = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const latency = Number(process.env.DODOPASS_FAKE_LATENCY || 0);
+const exitAfter = Number(process.env.DODOPASS_FAKE_EXIT_AFTER || 0);
+const hangCommand = process.env.DODOPASS_FAKE_HANG || null;
+const appDown = process.env.DODOPASS_FAKE_APP_DOWN === '1';
+const masterPassword = process.env.DODOPASS_FAKE_PASSWORD || 'dodopass';
+const protocolVersion = Number(process.env.DODOPASS_FAKE_PROTOCOL ?? 2);
+const minProtocolVersion = Number(process.env.DODOPASS_FAKE_MIN_PROTOCOL ?? 2);
+const rejectPairing = process.env.DODOPASS_FAKE_PAIRING === 'reject';
+const statePath = process.env.DODOPASS_FAKE_STATE || path.join(os.tmpdir(), 'dodopass-fake-host.json');
+
+const commands = [
+  'hello', 'pair', 'pairStatus', 'openSession', 'secure', 'status', 'search', 'listLogins', 'listForUrl', 'getCredentials', 'getTOTP', 'listCards', 'getCard',
+  'listIdentities', 'getIdentity', 'lock', 'unlock', 'saveCredentials', 'updateCredentials', 'addUrl',
+  'checkExisting', 'listTags', 'checkBreach', 'getPasswordStrength', 'recordAutofill'
+];
+
+let locked = false;
+let messageCount = 0;
+
+const logins = [
+  {
+    id: randomUUID(),
+    title: 'Example',
+    username: 'user@example.com',
+    password: 'correct-horse-battery-staple',
+    urls: ['https://example.com'],
+    matchMode: 'baseDomain',
+    totp: true,
+    tags: ['personal']
+  },
+  {
+    id: randomUUID(),
+    title: 'Intranet',
+    username: 'admin',
+    password: 'intranet-pass',
+    urls: ['http://localhost:8080'],
+    matchMode: 'hostAndPort',
+    totp: false,
+    tags: ['work']
+  }
+];
+
+const cards = [
+  {
+    id: randomUUID(),
+    title: 'Test Visa',
+    cardholderName: 'Test User',
+    cardNumber: '4111111111111111',
+    expirationMonth: 12,
+    expirationYear: 2030,
+    cvv: '123',
+    cardType: 'visa'
+  }
+];
+
+const identities = [
+  {
+    id: randomUUID(),
+    title: 'Test Identity',
+    firstName: 'Test',
+    middleName: '',
+    lastName: 'User',
+    fullName: 'Test User',
+    email: 'user@example.com',
+    phone: '+1 555 0100',
+    company: '',
+    address: { street: '1 Main St', city: 'Springfield', state: 'IL', postalCode: '62701', country: 'US' }
+  }
+];
+
+function hostOf(url) {
+  try {
+    return new URL(url.includes('://') ? url : `https://${url}`).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return url;
+  }
+}
+
+// Like the app: the last two labels of the host, which every host on a site shares
+function siteSuffix(url) {
+  try {
+    return new URL(url.includes('://') ? url : `https://${url}`).hostname.split('.').slice(-2).join('.');
+  } catch (error) {
+    return null;
+  }
+}
+
+function loginMayMatch(login, pageSuffix) {
+  if (login.matchMode === 'never') return false;
+  if (login.matchMode === 'regex') return true;
+  return pageSuffix !== null && login.urls.some(url => [pageSuffix, null].includes(siteSuffix(url)));
+}
+
+function loginSummary(login) {
+  return {
+    id: login.id,
+    title: login.title,
+    username: login.username,
+    url: login.urls[0] || '',
+    hasTotp: login.totp
+  };
+}
+
+function totpState() {
+  const period = 30;
+  const now = Math.floor(Date.now() / 1000);
+  const counter = Math.floor(now / period);
+  return { code: String(counter % 1000000).padStart(6, '0'), remaining: period - (now % period), period };
+}
+
+function findLogin(id) {
+  return logins.find(login => login.id === id);
+}
+
+// Pairing, same scheme as BrowserPairingManager in the app
+const { subtle } = webcrypto;
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+
+const pairingRequests = new Map(); // clientId -> { name, publicKey, polls }
+const sessions = new Map(); // sessionId -> { key, lastCounter }
+
+function loadPairingState() {
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    return { appKey: null, browsers: [] };
+  }
+}
+
+const pairingState = loadPairingState();
+
+function savePairingState() {
+  fs.writeFileSync(statePath, JSON.stringify(pairingState, null, 2));
+}
+
+async function getAppKey() {
+  if (!pairingState.appKey) {
+    const keyPair = await subtle.generateKey(ECDH_PARAMS, true, ['deriveBits']);
+    pairingState.appKey = {
+      privateKey: await subtle.exportKey('jwk', keyPair.privateKey),
+      publicKey: Buffer.from(await subtle.exportKey('raw', keyPair.publicKey)).toString('base64')
+    };
+    savePairingState();
+  }
+  return pairingState.appKey;
+}
+
+async function deriveSharedSecret(browserPublicKey) {
+  const appKey = await getAppKey();
+  const privateKey = await subtle.importKey('jwk', appKey.privateKey, ECDH_PARAMS, false, ['deriveBits']);
+  const publicKey = await subtle.importKey('raw', Buffer.from(browserPublicKey, 'base64'), ECDH_PARAMS, false, []);
+  return Buffer.from(await subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256));
+}
+
+async function pairingCode(browserPublicKey) {
+  const appKey = await getAppKey();
+  const digest = await subtle.digest('SHA-256', Buffer.concat([
+    Buffer.from('DodoPass pairing v1'),
+    await deriveSharedSecret(browserPublicKey),
+    Buffer.from(browserPublicKey, 'base64'),
+    Buffer.from(appKey.publicKey, 'base64')
+  ]));
+  return String(Buffer.from(digest).readUInt32BE(0) % 1000000).padStart(6, '0');
+}
+
+function additionalData(sessionId, direction, counter) {
+  return Buffer.from(`DodoPass v1|${sessionId}|${direction}|${counter}`);
+}
+
+function findBrowser(clientId) {
+  return pairingState.browsers.find(browser => browser.id === clientId);
+}
+
+async function handle(command, params = {}) {
+  if (appDown) {
+    return { success: false, error: 'DodoPass is not running' };
+  }
+  // Apps from before pairing answer everyone
+  if (protocolVersion < 2) {
+    return handleCommand(command, params);
+  }
+
+  switch (command) {
+    case 'hello':
+      return handleCommand(command, params);
+    case 'pair': {
+      if (!params.clientId || !params.publicKey) return { success: false, error: 'Missing required parameters' };
+      pairingRequests.set(params.clientId, { name: params.name || 'Browser', publicKey: params.publicKey, polls: 0 });
+      process.stderr.write(`DodoPass fake host: pairing code for ${params.name} is ${await pairingCode(params.publicKey)}\n`);
+      return { success: true, data: { publicKey: (await getAppKey()).publicKey } };
+    }
+    case 'pairStatus': {
+      if (findBrowser(params.clientId)) return { success: true, data: { status: 'approved' } };
+      const request = pairingRequests.get(params.clientId);
+      if (!request) return { success: true, data: { status: 'unknown' } };
+
+      // Give the popup a moment to show the code before answering for the user
+      if (++request.polls < 2) return { success: true, data: { status: 'pending' } };
+      pairingRequests.delete(params.clientId);
+      if (rejectPairing) return { success: true, data: { status: 'rejected' } };
+
+      pairingState.browsers.push({ id: params.clientId, name: request.name, publicKey: request.publicKey, pairedAt: new Date().toISOString() });
+      savePairingState();
+      return { success: true, data: { status: 'approved' } };
+    }
+    case 'openSession': {
+      const browser = findBrowser(params.clientId);
+      if (!browser) return { success: false, error: 'This browser is not paired with DodoPass' };
+
+      const nonce = webcrypto.getRandomValues(new Uint8Array(32));
+      const sharedSecret = await subtle.importKey('raw', await deriveSharedSecret(browser.publicKey), 'HKDF', false, ['deriveKey']);
+      const key = await subtle.deriveKey(
+        {
+          name: 'HKDF',
+          hash: 'SHA-256',
+          salt: Buffer.concat([Buffer.from(params.nonce || '', 'base64'), nonce]),
+          info: Buffer.from('DodoPass session v1')
+        },
+        sharedSecret,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+      const sessionId = randomUUID();
+      sessions.set(sessionId, { clientId: browser.id, key, lastCounter: 0 });
+      return { success: true, data: { sessionId, nonce: Buffer.from(nonce).toString('base64') } };
+    }
+    case 'secure':
+      return handleSecure(params);
+    default:
+      return { success: false, error: 'Pairing required' };
+  }
+}
+
+async function handleSecure({ sessionId, counter, iv, ciphertext }) {
+  const session = sessions.get(sessionId);
+  if (!session) return { success: false, error: 'Unknown session' };
+  if (!findBrowser(session.clientId)) {
+    sessions.delete(sessionId);
+    return { success: false, error: 'This browser is not paired with DodoPass' };
+  }
+  if (!(counter > session.lastCounter)) return { success: false, error: 'Message was already received' };
+
+  let request;
+  try {
+    const plaintext = await subtle.decrypt(
+      { name: 'AES-GCM', iv: Buffer.from(iv, 'base64'), additionalData: additionalData(sessionId, 'request', counter) },
+      session.key,
+      Buffer.from(ciphertext, 'base64')
+    );
+    request = JSON.parse(Buffer.from(plaintext).toString('utf8'));
+  } catch (error) {
+    return { success: false, error: 'Message could not be authenticated' };
+  }
+  session.lastCounter = counter;
+  if (request.command === hangCommand) return new Promise(() => {});
+
+  const response = { ...handleCommand(request.command, request.params), command: request.command };
+  const responseIv = webcrypto.getRandomValues(new Uint8Array(12));
+  const sealed = await subtle.encrypt(
+    { name: 'AES-GCM', iv: responseIv, additionalData: additionalData(sessionId, 'response', counter) },
+    session.key,
+    Buffer.from(JSON.stringify(response))
+  );
+  return {
+    success: true,
+    data: { counter, iv: Buffer.from(responseIv).toString('base64'), ciphertext: Buffer.from(sealed).toString('base64') }
+  };
+}
+
+function handleCommand(command, params = {}) {
+  if (command === 'hello' && protocolVersion > 0) {
+    return { success: true, data: { protocolVersion, minProtocolVersion, appVersion: '0.0.0-fake', commands } };
+  }
+  if (command === 'status') {
+    return { success: true, data: { locked, vaultExists: true, itemCount: locked ? 0 : logins.length } };
+  }
+  if (command === 'unlock') {
+    if (params.password !== masterPassword) {
+      return { success: false, error: 'Invalid password' };
+    }
+    setLocked(false);
+    return { success: true };
+  }
+  if (command === 'lock') {
+    setLocked(true);
+    return { success: true };
+  }
+  if (locked) {
+    return { success: false, error: 'Vault is locked' };
+  }
+
+  switch (command) {
+    case 'search': {
+      const query = (params.query || '').toLowerCase();
+      const items = logins
+        .filter(login => `${login.title} ${login.username} ${login.urls.join(' ')}`.toLowerCase().includes(query))
+        .map(login => ({ ...loginSummary(login), category: 'login' }));
+      return { success: true, data: { items } };
+    }
+    case 'listLogins': {
+      const pageSuffix = params.url === undefined ? undefined : siteSuffix(params.url);
+      const items = logins
+        .filter(login => pageSuffix === undefined || loginMayMatch(login, pageSuffix))
+        .map(login => ({ ...loginSummary(login), urls: login.urls, matchMode: login.matchMode }));
+      return { success: true, data: { items } };
+    }
+    case 'listForUrl': {
+      const host = hostOf(params.url || '');
+      const items = logins.filter(login => login.urls.some(url => hostOf(url) === host)).map(loginSummary);
+      return { success: true, data: { items } };
+    }
+    case 'getCredentials': {
+      const login = findLogin(params.id);
+      if (!login) return { success: false, error: 'Item not found' };
+      const data = {
+        username: login.username,
+        password: login.password,
+        urls: login.urls,
+        matchMode: login.matchMode,
+        autoSubmit: !!login.autoSubmit
+      };
+      if (login.totp) {
+        const totp = totpState();
+        Object.assign(data, { totp: totp.code, totpRemaining: totp.remaining, totpPeriod: totp.period });
+      }
+      return { success: true, data };
+    }
+    case 'getTOTP': {
+      const login = findLogin(params.id);
+      if (!login || !login.totp) return { success: false, error: 'No TOTP configured' };
+      return { success: true, data: { ...totpState(), urls: login.urls, matchMode: login.matchMode } };
+    }
+    case 'listCards':
+      return {
+        success: true,
+        data: {
+          items: cards.map(card => ({
+            id: card.id,
+            title: card.title,
+            cardholderName: card.cardholderName,
+            lastFour: card.cardNumber.slice(-4),
+            cardType: card.cardType,
+            expiration: `${String(card.expirationMonth).padStart(2, '0')}/${String(card.expirationYear).slice(-2)}`,
+            isExpired: false
+          }))
+        }
+      };
+    case 'getCard': {
+      const card = cards.find(item => item.id === params.id);
+      return card ? { success: true, data: card } : { success: false, error: 'Item not found' };
+    }
+    case 'listIdentities':
+      return {
+        success: true,
+        data: {
+          items: identities.map(identity => ({
+            id: identity.id,
+            title: identity.title,
+            fullName: identity.fullName,
+            email: identity.email
+          }))
+        }
+      };
+    case 'getIdentity': {
+      const identity = identities.find(item => item.id === params.id);
+      return identity ? { success: true, data: identity } : { success: false, error: 'Item not found' };
+    }
+    case 'saveCredentials': {
+      const login = {
+        id: randomUUID(),
+        title: params.title || hostOf(params.url || ''),
+        username: params.username || '',
+        password: params.password || '',
+        urls: params.url ? [params.url] : [],
+        matchMode: 'baseDomain',
+        totp: false,
+        tags: params.tags || [],
+        favorite: !!params.favorite
+      };
+      logins.push(login);
+      pushEvent('itemsChanged');
+      return { success: true, data: { id: login.id } };
+    }
+    case 'updateCredentials': {
+      const login = findLogin(params.id);
+      if (!login) return { success: false, error: 'Item not found' };
+      if (params.password) login.password = params.password;
+      if (typeof params.username === 'string') login.username = params.username;
+      pushEvent('itemsChanged');
+      return { success: true, data: { id: login.id } };
+    }
+    case 'addUrl': {
+      const login = findLogin(params.id);
+      if (!login) return { success: false, error: 'Item not found' };
+      if (!login.urls.includes(params.url)) login.urls.push(params.url);
+      pushEvent('itemsChanged');
+      return { success: true, data: { id: login.id, urls: login.urls } };
+    }
+    case 'checkExisting': {
+      const host = hostOf(params.url || '');
+      const match = logins.find(login => login.username === params.username && login.urls.some(url => hostOf(url) === host));
+      return { success: true, data: match ? { exists: true, id: match.id, title: match.title } : { exists: false } };
+    }
+    case 'listTags': {
+      const tags = new Set(logins.flatMap(login => login.tags || []));
+      return { success: true, data: { tags: [...tags].sort() } };
+    }
+    case 'recordAutofill':
+      process.stderr.write(`DodoPass fake host: audit ${params.action} on ${hostOf(params.url || '')}\n`);
+      return { success: true };
+    case 'checkBreach':
+      // Only "password" counts as breached here
+      return { success: true, data: { isBreached: params.password === 'password', count: params.password === 'password' ? 1000000 : 0 } };
+    case 'getPasswordStrength': {
+      const length = (params.password || '').length;
+      const score = Math.min(100, length * 5);
+      const level = score >= 80 ? 'Strong' : score >= 60 ? 'Good' : score >= 40 ? 'Fair' : 'Weak';
+      return { success: true, data: { score, level } };
+    }
+    default:
+      return { success: false, error: 'Unknown command' };
+  }
+}
+
+// Native messaging framing: 4-byte little-endian length, then JSON
+function writeMessage(message) {
+  const json = Buffer.from(JSON.stringify(message));
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(json.length, 0);
+  process.stdout.write(Buffer.concat([length, json]));
+}
+
+// Events, as DodoPassHost forwards them from the app. Apps from before pairing had none.
+function pushEvent(event) {
+  if (appDown || protocolVersion < 2) return;
+  writeMessage({ event });
+}
+
+function setLocked(value) {
+  if (locked === value) return;
+  locked = value;
+  pushEvent(locked ? 'locked' : 'unlocked');
+}
+
+process.on('SIGUSR1', () => setLocked(!locked));
+process.on('SIGUSR2', () => pushEvent('itemsChanged'));
+
+// The app starts a subscription with its current state
+pushEvent(locked ? 'locked' : 'unlocked');
+
+// One message at a time, like DodoPassHost: sealed requests have to reach the app in order
+let responding = Promise.resolve();
+
+function respond(message) {
+  messageCount++;
+  const { requestId, command, params } = message;
+
+  if (command === hangCommand) return;
+
+  responding = responding.then(() => new Promise(resolve => setTimeout(resolve, latency))).then(async () => {
+    writeMessage({ ...(await handle(command, params)), command, requestId });
+    if (exitAfter && messageCount >= exitAfter) {
+      process.exit(0);
+    }
+  });
+}
+
+let buffer = Buffer.alloc(0);
+
+process.stdin.on('data', (chunk) => {
+  buffer = Buffer.concat([buffer, chunk]);
+
+  while (buffer.length >= 4) {
+    const length = buffer.readUInt32LE(0);
+    if (buffer.length < 4 + length) break;
+
+    const body = buffer.subarray(4, 4 + length);
+    buffer = buffer.subarray(4 + length);
+
+    try {
+      respond(JSON.parse(body.toString('utf8')));
+    } catch (error) {
+      writeMessage({ success: false, error: 'Invalid message' });
+    }
+  }
+});
+
+process.stdin.on('end', () => process.exit(0));
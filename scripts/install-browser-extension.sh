@@ -19,24 +19,37 @@ echo "  DodoPass Browser Extension Installer"
 echo "============================================"
 echo ""
 
-# Build the native messaging host
-echo -e "${YELLOW}Building DodoPassHost...${NC}"
-cd "$PROJECT_DIR/DodoPassHost"
+# --fake-host registers scripts/fake-native-host.js instead, for working on the extension without the app
+if [ "$1" = "--fake-host" ]; then
+    if ! command -v node > /dev/null; then
+        echo -e "${RED}The fake host needs Node.js${NC}"
+        exit 1
+    fi
 
-if ! swift build -c release; then
-    echo -e "${RED}Failed to build DodoPassHost${NC}"
-    exit 1
-fi
+    HOST_PATH="$SCRIPT_DIR/fake-native-host.js"
+    chmod +x "$HOST_PATH"
+    echo -e "${YELLOW}Using the fake native host at $HOST_PATH${NC}"
+    echo ""
+else
+    # Build the native messaging host
+    echo -e "${YELLOW}Building DodoPassHost...${NC}"
+    cd "$PROJECT_DIR/DodoPassHost"
+
+    if ! swift build -c release; then
+        echo -e "${RED}Failed to build DodoPassHost${NC}"
+        exit 1
+    fi
 
-HOST_PATH="$PROJECT_DIR/DodoPassHost/.build/release/DodoPassHost"
+    HOST_PATH="$PROJECT_DIR/DodoPassHost/.build/release/DodoPassHost"
 
-if [ ! -f "$HOST_PATH" ]; then
-    echo -e "${RED}DodoPassHost binary not found at $HOST_PATH${NC}"
-    exit 1
-fi
+    if [ ! -f "$HOST_PATH" ]; then
+        echo -e "${RED}DodoPassHost binary not found at $HOST_PATH${NC}"
+        exit 1
+    fi
 
-echo -e "${GREEN}DodoPassHost built successfully${NC}"
-echo ""
+    echo -e "${GREEN}DodoPassHost built successfully${NC}"
+    echo ""
+fi
 
 # Install native messaging manifests
 NATIVE_HOST_NAME="com.dodopass.host"
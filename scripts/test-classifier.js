@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+// DodoPass classifier tests
+// Runs the extension's field classifier (BrowserExtension/classifier.js) on stand-in fields
+// that carry only what it reads: type, name, id, attributes and label text. Exits non-zero
+// when any of them fails.
+//
+// Run with: node scripts/test-classifier.js
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'BrowserExtension');
+
+vm.runInThisContext(fs.readFileSync(path.join(EXTENSION_DIR, 'classifier.js'), 'utf8'), { filename: 'classifier.js' });
+
+// A password field with the given name, id, attributes and label
+function passwordField({ name = '', id = '', label = null, attributes = {} } = {}) {
+  return {
+    type: 'password',
+    name,
+    id,
+    labels: label ? [{ textContent: label }] : [],
+    getAttribute: key => attributes[key] ?? null,
+    getRootNode: () => ({ getElementById: () => null }),
+    matches: () => false
+  };
+}
+
+function roleOf(options) {
+  return classifyField(passwordField(options)).role;
+}
+
+// Tests
+
+const tests = [];
+
+function test(name, run) {
+  tests.push({ name, run });
+}
+
+test('reads the role from the name alone', () => {
+  assert.equal(roleOf({ name: 'current_password' }), 'currentPassword');
+  assert.equal(roleOf({ name: 'old-password' }), 'currentPassword');
+  assert.equal(roleOf({ name: 'new_password' }), 'newPassword');
+  assert.equal(roleOf({ id: 'confirmPassword' }), 'newPassword');
+});
+
+test('reads the role from the label alone', () => {
+  assert.equal(roleOf({ name: 'pw1', label: 'Current password' }), 'currentPassword');
+  assert.equal(roleOf({ name: 'pw2', label: 'New password' }), 'newPassword');
+  assert.equal(roleOf({ name: 'pw3', label: 'Repeat password' }), 'newPassword');
+});
+
+test('reads localized placeholders, aria-labels and labels', () => {
+  assert.equal(roleOf({ attributes: { placeholder: 'Aktuelles Passwort', 'aria-label': 'Altes Passwort' } }), 'currentPassword');
+  assert.equal(roleOf({ attributes: { placeholder: 'Nouveau mot de passe' } }), 'newPassword');
+  assert.equal(roleOf({ label: 'Neues Passwort wiederholen' }), 'newPassword');
+});
+
+test('keeps a plain password field a password', () => {
+  assert.equal(roleOf({ name: 'password' }), 'password');
+  assert.equal(roleOf({ name: 'pass', label: 'Password' }), 'password');
+});
+
+test('lets autocomplete win over keywords', () => {
+  assert.equal(roleOf({ name: 'new_password', attributes: { autocomplete: 'current-password' } }), 'currentPassword');
+  assert.equal(roleOf({ name: 'old_password', attributes: { autocomplete: 'new-password' } }), 'newPassword');
+});
+
+// Runner
+
+let failed = 0;
+
+for (const { name, run } of tests) {
+  try {
+    run();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`not ok - ${name}`);
+    console.log(`  ${error.stack.split('\n').join('\n  ')}`);
+  }
+}
+
+console.log(failed ? `${failed} of ${tests.length} failed` : `All ${tests.length} passed`);
+process.exit(failed ? 1 : 0);
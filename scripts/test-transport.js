@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+
+// DodoPass transport tests
+// Runs the extension's native messaging transport (BrowserExtension/transport.js) against
+// scripts/fake-native-host.js, paired like a real browser: reconnecting and replaying after
+// the host exits, per-command timeouts and heartbeats, backoff between reconnects, sealed
+// requests reaching the app in counter order, and the commands it announces matching the app's.
+// Exits non-zero when any of them fails.
+//
+// Run with: node scripts/test-transport.js
+
+const assert = require('assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'BrowserExtension');
+const IPC_SERVER = path.join(__dirname, '..', 'DodoPass', 'Sources', 'Data', 'IPC', 'IPCServer.swift');
+const FAKE_HOST = path.join(__dirname, 'fake-native-host.js');
+const TEST_TIMEOUT = 15000;
+
+// The extension's scripts share one global scope, as in the service worker
+for (const file of ['secure-channel.js', 'transport.js']) {
+  vm.runInThisContext(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), { filename: file });
+}
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dodopass-transport-'));
+const hostEnv = { DODOPASS_FAKE_STATE: path.join(stateDir, 'pairing.json') };
+const hosts = new Set();
+
+// Fake host
+
+// Starts the fake host and returns a port shaped like chrome.runtime.connectNative's. Like
+// Chrome's, disconnect() doesn't fire onDisconnect on this side; crash() ends the host instead.
+function connectFakeHost(env = {}) {
+  const host = spawn(process.execPath, [FAKE_HOST], {
+    env: { ...process.env, ...hostEnv, ...env },
+    stdio: ['pipe', 'pipe', 'ignore']
+  });
+  hosts.add(host);
+
+  const messageListeners = [];
+  const disconnectListeners = [];
+  let buffer = Buffer.alloc(0);
+  let connected = true;
+
+  host.stdout.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32LE(0);
+      if (buffer.length < 4 + length) break;
+
+      const message = JSON.parse(buffer.subarray(4, 4 + length).toString('utf8'));
+      buffer = buffer.subarray(4 + length);
+      if (connected) messageListeners.forEach(listener => listener(message));
+    }
+  });
+  host.stdin.on('error', () => {});
+  host.on('exit', () => {
+    hosts.delete(host);
+    if (!connected) return;
+    connected = false;
+    disconnectListeners.forEach(listener => listener());
+  });
+
+  return {
+    postMessage(message) {
+      if (!connected) throw new Error('Attempting to use a disconnected port object');
+      const json = Buffer.from(JSON.stringify(message));
+      const length = Buffer.alloc(4);
+      length.writeUInt32LE(json.length, 0);
+      host.stdin.write(Buffer.concat([length, json]));
+    },
+    disconnect() {
+      connected = false;
+      host.kill();
+    },
+    crash() {
+      host.kill();
+    },
+    onMessage: { addListener: listener => messageListeners.push(listener) },
+    onDisconnect: { addListener: listener => disconnectListeners.push(listener) }
+  };
+}
+
+// Shaped like chrome.storage.local, for the channel's pairing
+function createMemoryStorage() {
+  const items = {};
+  return {
+    get: async key => (key in items ? { [key]: items[key] } : {}),
+    set: async (values) => { Object.assign(items, values); },
+    remove: async (key) => { delete items[key]; }
+  };
+}
+
+const channel = createPairedChannel({ storage: createMemoryStorage() });
+
+// A transport on the fake host started with env; options go to createNativeTransport
+function createTransport(env = {}, options = {}) {
+  const states = [];
+  const transport = createNativeTransport({
+    connect: () => connectFakeHost(env),
+    channel,
+    onStateChange: state => states.push(state),
+    ...options
+  });
+  return { transport, states };
+}
+
+// Helpers
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the transport');
+    await delay(20);
+  }
+}
+
+// The fake vault has one login whose title contains each of these
+function assertFound(response, query) {
+  assert.equal(response.success, true, response.error);
+  assert.deepEqual(response.data.items.map(item => item.title.toLowerCase()), [query]);
+}
+
+// Tests
+
+const tests = [];
+
+function test(name, run) {
+  tests.push({ name, run });
+}
+
+test('pairs with the fake host', async () => {
+  const { transport } = createTransport();
+  try {
+    const pairing = await channel.startPairing(transport.send);
+    assert.equal(pairing.success, true, pairing.error);
+
+    let status;
+    do {
+      status = (await channel.checkPairing(transport.send)).data.status;
+    } while (status === 'pending');
+    assert.equal(status, 'approved');
+  } finally {
+    transport.close();
+  }
+});
+
+test('knows the commands the app and the fake host serve', async () => {
+  // The host subscribes to events; the extension never sends that itself
+  const source = fs.readFileSync(IPC_SERVER, 'utf8');
+  const list = source.match(/static let supportedCommands = \[([^\]]*)\]/)[1];
+  const appCommands = [...list.matchAll(/"(\w+)"/g)].map(match => match[1]).filter(command => command !== 'subscribe');
+  assert.deepEqual([...PROTOCOL_COMMANDS].sort(), appCommands.sort());
+
+  const { transport } = createTransport();
+  try {
+    // The hello comes first on every port
+    await transport.send('status');
+    assert.deepEqual([...transport.getState().commands].sort(), appCommands.sort());
+  } finally {
+    transport.close();
+  }
+});
+
+test('replays requests that are safe to send twice after the host exits', async () => {
+  // Each host answers the hello, opens the session and serves two requests
+  const { transport, states } = createTransport({ DODOPASS_FAKE_EXIT_AFTER: '4' }, { backoffInitial: 10 });
+  try {
+    const queries = ['example', 'intranet', 'example', 'intranet', 'example', 'intranet'];
+    const responses = await Promise.all(queries.map(query => transport.send('search', { query })));
+
+    responses.forEach((response, index) => assertFound(response, queries[index]));
+    assert.ok(states.filter(state => state.status === 'disconnected').length >= 2, 'the host never exited');
+  } finally {
+    transport.close();
+  }
+});
+
+test('fails requests that must not be sent twice when the host exits with them', async () => {
+  // The host exits after the search, with the unlock read but not answered
+  const { transport } = createTransport(
+    { DODOPASS_FAKE_EXIT_AFTER: '3', DODOPASS_FAKE_LATENCY: '300' },
+    { backoffInitial: 10 }
+  );
+  try {
+    const search = transport.send('search', { query: 'example' });
+    const unlock = transport.send('unlock', { password: 'dodopass' });
+
+    assertFound(await search, 'example');
+    await assert.rejects(unlock, /disconnected/);
+    assert.equal((await transport.send('status')).success, true);
+  } finally {
+    transport.close();
+  }
+});
+
+test('times out a request the app never answers, and reconnects once pings go unanswered', async () => {
+  const { transport, states } = createTransport({ DODOPASS_FAKE_HANG: 'search' }, {
+    timeouts: { search: 200, status: 300 },
+    heartbeatInterval: 100,
+    backoffInitial: 10
+  });
+  try {
+    // Connected first, so starting the host doesn't count against the search
+    assert.equal((await transport.send('status')).success, true);
+
+    const started = Date.now();
+    await assert.rejects(transport.send('search', { query: 'example' }), /timed out/);
+    assert.ok(Date.now() - started < 1000, 'the search took the default timeout, not its own');
+
+    // The stuck host doesn't answer the next ping either
+    await waitFor(() => states.some(state => state.error === 'Native host stopped responding'));
+    assert.equal((await transport.send('status')).success, true);
+  } finally {
+    transport.close();
+  }
+});
+
+test('backs off between reconnects and starts over once the host answers', async () => {
+  let failures = 3;
+  let port = null;
+  const delays = [];
+  const transport = createNativeTransport({
+    connect: () => {
+      if (failures-- > 0) throw new Error('Specified native messaging host not found.');
+      port = connectFakeHost();
+      return port;
+    },
+    channel,
+    backoffInitial: 20,
+    backoffMax: 50,
+    onStateChange: (state) => {
+      if (state.status === 'disconnected' && state.retryAt) delays.push(state.retryAt - Date.now());
+    }
+  });
+  try {
+    assert.equal((await transport.send('status')).success, true);
+    assert.deepEqual(delays.map(ms => Math.round(ms / 10) * 10), [20, 40, 50]);
+
+    port.crash();
+    await waitFor(() => delays.length === 4);
+    assert.equal(Math.round(delays[3] / 10) * 10, 20);
+  } finally {
+    transport.close();
+  }
+});
+
+test('seals requests in order when many are sent at once', async () => {
+  // The host refuses a counter that isn't above the last one, so any request overtaking
+  // another would fail. Sealing takes a varying time here, as it can in the browser.
+  const { transport } = createTransport({}, {
+    channel: {
+      ...channel,
+      seal: async (session, message) => {
+        const params = await channel.seal(session, message);
+        await delay(Math.random() * 20);
+        return params;
+      }
+    }
+  });
+  try {
+    const queries = Array.from({ length: 20 }, (_, index) => (index % 2 ? 'intranet' : 'example'));
+    const responses = await Promise.all(queries.map(query => transport.send('search', { query })));
+
+    responses.forEach((response, index) => assertFound(response, queries[index]));
+  } finally {
+    transport.close();
+  }
+});
+
+// Runner
+
+async function main() {
+  let failed = 0;
+
+  for (const { name, run } of tests) {
+    let timer;
+    try {
+      await Promise.race([
+        run(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`Took longer than ${TEST_TIMEOUT} ms`)), TEST_TIMEOUT);
+        })
+      ]);
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`not ok - ${name}`);
+      console.log(`  ${error.stack.split('\n').join('\n  ')}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  hosts.forEach(host => host.kill());
+  fs.rmSync(stateDir, { recursive: true, force: true });
+
+  console.log(failed ? `${failed} of ${tests.length} failed` : `All ${tests.length} passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();